@@ -3,7 +3,8 @@
 // 1. 自动保存最近聊天记录到IndexedDB (基于事件触发, 区分立即与防抖)
 // 2. 在插件页面显示保存的记录
 // 3. 提供恢复功能，将保存的聊天记录恢复到新的聊天中
-// 4. 使用Web Worker优化深拷贝性能
+// 4. 使用Web Worker优化深拷贝性能，并在Worker中压缩备份负载
+// 5. 可选增量备份: 定期保存完整基础快照，其间只保存与上一版本的差异
 
 import {
     getContext,
@@ -14,6 +15,7 @@ import {
 import {
     // --- 核心应用函数 ---
     saveSettingsDebounced,
+    saveSettings,           // 用于立即保存加密密钥环 (不能等待防抖)
     eventSource,
     event_types,
     selectCharacterById,    // 用于选择角色
@@ -22,31 +24,82 @@ import {
     scrollChatToBottom,     // 用于滚动到底部
     updateChatMetadata,     // 用于更新聊天元数据
     saveChatConditional,    // 用于保存聊天
+    openCharacterChat,      // 用于打开角色的指定聊天 (覆盖原聊天恢复)
     characters,             // 需要访问角色列表来查找索引
     getThumbnailUrl,        // 可能需要获取头像URL（虽然备份里应该有）
+    getCharacters,          // 用于重建角色后刷新角色列表
+    getRequestHeaders,      // 用于调用角色/群组创建接口
     // --- 其他可能需要的函数 ---
     // clearChat, // 可能不需要，doNewChat 应该会处理
-    // getCharacters, // 切换角色后可能需要更新？selectCharacterById 内部应该会处理
 } from '../../../../script.js';
 
 import {
     // --- 群组相关函数 ---
     select_group_chats,     // 用于选择群组聊天
+    openGroupChat,          // 用于打开群组的指定聊天 (覆盖原聊天恢复)
+    getGroups,              // 用于重建群组后刷新群组列表
     // getGroupChat, // 可能不需要，select_group_chats 应该会处理
 } from '../../../group-chats.js';
 
+import {
+    // --- 弹窗 ---
+    callGenericPopup,       // 用于导出/导入等多选项确认
+    POPUP_TYPE,
+} from '../../../popup.js';
+
+import {
+    download,               // 用于下载导出的文件
+} from '../../../utils.js';
+
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
+
 // 扩展名和设置初始化
 const PLUGIN_NAME = 'chat-history-backup4';
 const DEFAULT_SETTINGS = {
-    maxTotalBackups: 3,        // 整个系统保留的最大备份数量
+    maxTotalBackups: 3,        // 整个系统保留的最大备份数量 (不含受保护的备份)
+    minBackupsPerChat: 1,      // 每个聊天至少保留的最新备份数 (不受其他清理规则影响)
+    perChatBackupLimit: 0,     // 每个聊天最多保留的备份数 (0 为不限)
+    maxBackupAgeDays: 0,       // 超过此天数的备份会被清理 (0 为永久保留)
+    retentionThinning: false,  // 是否启用分级精简
+    thinKeepAllMinutes: 60,    // 分级精简: 最近多少分钟内的备份全部保留
+    thinHourlyHours: 24,       // 分级精简: 多少小时内每小时保留一个
+    thinDailyDays: 30,         // 分级精简: 多少天内每天保留一个，更早的每周保留一个
+    storageBudgetMB: 0,        // 备份占用的存储预算 (MB)，超出时清理最旧的备份 (0 为不限)
+    persistStorage: true,      // 启动时申请持久化存储，避免浏览器在空间不足时清除备份
+    encryption: null,          // 备份加密的密钥环 (当前密钥 ID，各密钥的盐、迭代次数、密码验证块)，null 为不加密
+    intervalBackupMinutes: 0,  // 定时备份间隔 (分钟)，内容有变化时才备份 (0 为关闭)
     backupDebounceDelay: 1000, // 防抖延迟时间 (毫秒)
     debug: true,               // 调试模式
+    backupMode: 'full',        // 备份存储方式: 'full' 每次完整快照, 'delta' 基础快照 + 增量, 'shared' 消息按内容共享存储
+    deltaBaseInterval: 10,     // 增量模式下每隔多少个备份保存一次完整基础快照
+    compression: 'gzip',       // 负载压缩格式: 'gzip' | 'deflate' | 'none'
+};
+
+// 数值设置的取值范围 [最小值, 最大值] (初始化校验和设置界面共用)
+const NUMERIC_SETTING_LIMITS = {
+    maxTotalBackups: [1, 1000],
+    minBackupsPerChat: [0, 100],
+    perChatBackupLimit: [0, 1000],
+    maxBackupAgeDays: [0, 3650],
+    thinKeepAllMinutes: [0, 10080],
+    thinHourlyHours: [0, 720],
+    thinDailyDays: [0, 3650],
+    storageBudgetMB: [0, 102400],
+    intervalBackupMinutes: [0, 1440],
 };
 
 // IndexedDB 数据库名称和版本
 const DB_NAME = 'ST_ChatAutoBackup';
-const DB_VERSION = 1;
-const STORE_NAME = 'backups';
+const DB_VERSION = 7; // 与 DB_MIGRATIONS 中最后一个步骤的版本一致
+const LEGACY_STORE_NAME = 'backups';           // v1: 摘要与完整聊天混存的旧存储
+const SUMMARY_STORE_NAME = 'backup_summaries'; // 轻量摘要 (列表、清理、去重只读这里)
+const PAYLOAD_STORE_NAME = 'backup_payloads';  // 完整聊天与元数据 (仅恢复/查看时读取)
+const MESSAGE_STORE_NAME = 'backup_messages';  // v5: 按内容哈希共享的消息 (共享存储方式的备份引用这里的消息)
+const ENTITY_STORE_NAME = 'backup_entities';   // v6: 按内容哈希共享的角色卡/群组定义快照
+const SHARED_SIZE_INDEX = 'storedSize';        // v7: 共享记录的占用大小索引 (统计用量时只读索引键)
+const PAYLOAD_FORMAT_VERSION = 2;              // 负载记录格式: 无 format 字段为未压缩旧格式, 2 为 { encoding, data }
 
 // Web Worker 实例 (稍后初始化)
 let backupWorker = null;
@@ -56,10 +109,18 @@ let workerRequestId = 0;
 
 // 数据库连接池 - 实现单例模式
 let dbConnection = null;
+let dbOpenPromise = null; // 正在进行的数据库打开请求
 
 // 备份状态控制
 let isBackupInProgress = false; // 并发控制标志
 let backupTimeout = null;       // 防抖定时器 ID
+// 备份进行中收到的请求按聊天合并，当前备份完成后依次执行
+const pendingBackups = new Map(); // chatKey -> { options, snapshot, resolvers }
+// 强制备份 (恢复前/删除前快照) 不合并，排在普通请求之前执行
+const forcedBackups = []; // [{ options, resolve }]
+
+// 最近一次保存的完整聊天状态缓存 (增量模式下避免每次都从数据库还原上一版本)
+let lastSnapshotCache = null;   // { chatKey, timestamp, chat, metadata }
 
 // --- 深拷贝逻辑 (将在Worker和主线程中使用) ---
 const deepCopyLogicString = `
@@ -76,6 +137,90 @@ const deepCopyLogicString = `
     };
 `;
 
+// --- 字节大小估算逻辑 (Worker 内使用，主线程有同名回退函数) ---
+const byteSizeLogicString = `
+    const calculateByteSize = (data) => {
+        try {
+            return new TextEncoder().encode(JSON.stringify(data)).length;
+        } catch (error) {
+            return 0; // 无法序列化时不影响备份本身
+        }
+    };
+`;
+
+// 主线程版本的字节大小估算 (用于 Worker 不可用或数据迁移时)
+function calculateByteSize(data) {
+    try {
+        return new TextEncoder().encode(JSON.stringify(data)).length;
+    } catch (error) {
+        console.warn('[聊天自动备份] 无法计算备份大小:', error);
+        return 0;
+    }
+}
+
+// --- 校验和逻辑 (Worker 内使用，主线程有同名回退函数) ---
+// 对 { chat, metadata } 的 JSON 计算 SHA-256，非安全上下文 (无 crypto.subtle) 时返回 null
+const checksumLogicString = `
+    const calculateChecksum = async (data) => {
+        if (!self.crypto?.subtle) {
+            return null;
+        }
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(data)));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    };
+`;
+
+// 主线程版本的校验和计算
+async function calculateChecksum(data) {
+    if (!globalThis.crypto?.subtle) {
+        return null;
+    }
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(data)));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// --- 压缩逻辑 (Worker 内使用，主线程有同名回退函数) ---
+const compressionLogicString = `
+    const compressJson = async (data, format) => {
+        const bytes = new TextEncoder().encode(JSON.stringify(data));
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream(format));
+        const buffer = await new Response(stream).arrayBuffer();
+        return { buffer, rawSize: bytes.length };
+    };
+    const decompressJson = async (buffer, format) => {
+        const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream(format));
+        return JSON.parse(await new Response(stream).text());
+    };
+`;
+
+// 主线程版本的压缩 (用于 Worker 不可用或失败时)
+async function compressJson(data, format) {
+    const bytes = new TextEncoder().encode(JSON.stringify(data));
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream(format));
+    const buffer = await new Response(stream).arrayBuffer();
+    return { buffer, rawSize: bytes.length };
+}
+
+// 主线程版本的解压
+async function decompressJson(buffer, format) {
+    const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream(format));
+    return JSON.parse(await new Response(stream).text());
+}
+
+// 字节数格式化显示
+function formatBytes(bytes) {
+    if (typeof bytes !== 'number' || isNaN(bytes)) {
+        return '未知';
+    }
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
 // --- 日志函数 ---
 function logDebug(...args) {
     const settings = extension_settings[PLUGIN_NAME];
@@ -96,21 +241,44 @@ function initSettings() {
     const settings = extension_settings[PLUGIN_NAME];
     
     // 如果之前使用的是旧版设置，则迁移到新版
+    // (旧版的 maxBackupsPerChat 与现在的每聊天上限 perChatBackupLimit 含义不同，不做转换)
     if (settings.hasOwnProperty('maxBackupsPerChat') && !settings.hasOwnProperty('maxTotalBackups')) {
         settings.maxTotalBackups = 3; // 默认值
         delete settings.maxBackupsPerChat; // 移除旧设置
         console.log('[聊天自动备份] 从旧版设置迁移到新版设置');
+    } else if (settings.hasOwnProperty('maxBackupsPerChat')) {
+        // 每聊天上限曾短暂使用 maxBackupsPerChat 这个名称保存
+        settings.perChatBackupLimit = settings.perChatBackupLimit ?? settings.maxBackupsPerChat;
+        delete settings.maxBackupsPerChat;
     }
     
     // 确保所有设置都存在
     settings.maxTotalBackups = settings.maxTotalBackups ?? DEFAULT_SETTINGS.maxTotalBackups;
     settings.backupDebounceDelay = settings.backupDebounceDelay ?? DEFAULT_SETTINGS.backupDebounceDelay;
     settings.debug = settings.debug ?? DEFAULT_SETTINGS.debug;
+    settings.backupMode = settings.backupMode ?? DEFAULT_SETTINGS.backupMode;
+    settings.deltaBaseInterval = settings.deltaBaseInterval ?? DEFAULT_SETTINGS.deltaBaseInterval;
+    settings.compression = settings.compression ?? DEFAULT_SETTINGS.compression;
+
+    settings.retentionThinning = settings.retentionThinning ?? DEFAULT_SETTINGS.retentionThinning;
+    settings.persistStorage = settings.persistStorage ?? DEFAULT_SETTINGS.persistStorage;
+    settings.encryption = settings.encryption ?? DEFAULT_SETTINGS.encryption;
+    if (settings.encryption && !settings.encryption.keys) {
+        // 旧版只保存单个密钥的设置，转换为密钥环
+        const { keyId, ...entry } = settings.encryption;
+        settings.encryption = { keyId, keys: { [keyId]: entry } };
+        console.log('[聊天自动备份] 加密设置已转换为密钥环');
+    }
 
     // 验证设置合理性
-    if (typeof settings.maxTotalBackups !== 'number' || settings.maxTotalBackups < 1) {
-        console.log(`[聊天自动备份] 无效的最大备份数 ${settings.maxTotalBackups}，重置为默认值 ${DEFAULT_SETTINGS.maxTotalBackups}`);
-        settings.maxTotalBackups = DEFAULT_SETTINGS.maxTotalBackups;
+    for (const [key, [min, max]] of Object.entries(NUMERIC_SETTING_LIMITS)) {
+        const value = settings[key] ?? DEFAULT_SETTINGS[key];
+        if (typeof value !== 'number' || !Number.isInteger(value) || value < min || value > max) {
+            console.log(`[聊天自动备份] 无效的设置 ${key}=${value}，重置为默认值 ${DEFAULT_SETTINGS[key]}`);
+            settings[key] = DEFAULT_SETTINGS[key];
+        } else {
+            settings[key] = value;
+        }
     }
     
     if (typeof settings.backupDebounceDelay !== 'number' || settings.backupDebounceDelay < 300) {
@@ -118,14 +286,398 @@ function initSettings() {
         settings.backupDebounceDelay = DEFAULT_SETTINGS.backupDebounceDelay;
     }
 
+    if (!['full', 'delta', 'shared'].includes(settings.backupMode)) {
+        console.log(`[聊天自动备份] 无效的备份模式 ${settings.backupMode}，重置为默认值 ${DEFAULT_SETTINGS.backupMode}`);
+        settings.backupMode = DEFAULT_SETTINGS.backupMode;
+    }
+
+    if (typeof settings.deltaBaseInterval !== 'number' || settings.deltaBaseInterval < 2) {
+        console.log(`[聊天自动备份] 无效的基础快照间隔 ${settings.deltaBaseInterval}，重置为默认值 ${DEFAULT_SETTINGS.deltaBaseInterval}`);
+        settings.deltaBaseInterval = DEFAULT_SETTINGS.deltaBaseInterval;
+    }
+
+    if (!['gzip', 'deflate', 'none'].includes(settings.compression)) {
+        console.log(`[聊天自动备份] 无效的压缩格式 ${settings.compression}，重置为默认值 ${DEFAULT_SETTINGS.compression}`);
+        settings.compression = DEFAULT_SETTINGS.compression;
+    }
+
     console.log('[聊天自动备份] 插件设置初始化完成:', settings);
     return settings;
 }
 
 // --- IndexedDB 相关函数 (优化版本) ---
+// 将备份拆分为摘要记录和负载记录 (完整快照保存 chat/metadata，增量备份保存 delta，共享存储只保存 metadata)
+function splitBackupRecord(backup) {
+    const { chat, metadata, delta, entitySnapshot, ...summary } = backup;
+    const payload = { chatKey: backup.chatKey, timestamp: backup.timestamp };
+    if (summary.storageType === 'delta') {
+        payload.delta = delta;
+    } else if (summary.storageType === 'shared') {
+        payload.metadata = metadata;
+    } else {
+        payload.chat = chat;
+        payload.metadata = metadata;
+    }
+    return { summary, payload };
+}
+
+// 创建摘要/负载两个对象存储
+function createBackupStores(db) {
+    if (!db.objectStoreNames.contains(SUMMARY_STORE_NAME)) {
+        const summaryStore = db.createObjectStore(SUMMARY_STORE_NAME, { keyPath: ['chatKey', 'timestamp'] });
+        summaryStore.createIndex('chatKey', 'chatKey', { unique: false });
+        console.log('[聊天自动备份] 创建了备份摘要存储和索引');
+    }
+    if (!db.objectStoreNames.contains(PAYLOAD_STORE_NAME)) {
+        db.createObjectStore(PAYLOAD_STORE_NAME, { keyPath: ['chatKey', 'timestamp'] });
+        console.log('[聊天自动备份] 创建了备份负载存储');
+    }
+}
+
+// 将 v1 旧存储中的记录迁移到摘要/负载存储，完成后删除旧存储
+function migrateLegacyBackups(db, transaction, onDone) {
+    if (!db.objectStoreNames.contains(LEGACY_STORE_NAME)) {
+        onDone?.();
+        return;
+    }
+    console.log('[聊天自动备份] 检测到旧版备份存储，开始迁移');
+    const legacyStore = transaction.objectStore(LEGACY_STORE_NAME);
+    const summaryStore = transaction.objectStore(SUMMARY_STORE_NAME);
+    const payloadStore = transaction.objectStore(PAYLOAD_STORE_NAME);
+    let migratedCount = 0;
+
+    legacyStore.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+            db.deleteObjectStore(LEGACY_STORE_NAME);
+            console.log(`[聊天自动备份] 旧版备份迁移完成，共 ${migratedCount} 个`);
+            onDone?.();
+            return;
+        }
+        const legacyBackup = cursor.value;
+        const { summary, payload } = splitBackupRecord({
+            ...legacyBackup,
+            storageType: 'full',
+            parentTimestamp: null,
+            messageCount: legacyBackup.chat?.length ?? legacyBackup.lastMessageId + 1,
+            byteSize: calculateByteSize({ chat: legacyBackup.chat, metadata: legacyBackup.metadata }),
+        });
+        summaryStore.put(summary);
+        payloadStore.put(payload);
+        migratedCount++;
+        cursor.continue();
+    };
+}
+
+// 为旧版 (基于角色索引) 的 chatKey 找到对应角色的头像文件名
+// 先校验索引处的角色名与备份记录的实体名一致，否则按名称唯一匹配；无法确定时返回 null
+function resolveLegacyCharacterAvatar(legacyIndex, entityNames) {
+    const names = [].concat(entityNames).filter(Boolean);
+    const byIndex = characters[legacyIndex];
+    if (byIndex && names.includes(byIndex.name)) {
+        return byIndex.avatar;
+    }
+    for (const name of names) {
+        const byName = characters.filter(c => c.name === name);
+        if (byName.length === 1) {
+            return byName[0].avatar;
+        }
+    }
+    return null;
+}
+
+// 将基于角色索引的旧 chatKey 改写为基于头像的 chatKey (在给定的读写/升级事务中执行)
+// 同一个旧 chatKey 下的所有记录一起迁移，保证增量链不被拆散；无法确定角色的记录保持原样，稍后重试
+function rekeyLegacyCharacterBackups(transaction, onDone) {
+    const summaryStore = transaction.objectStore(SUMMARY_STORE_NAME);
+    const payloadStore = transaction.objectStore(PAYLOAD_STORE_NAME);
+
+    summaryStore.getAll().onsuccess = (event) => {
+        const legacyGroups = new Map();
+        (event.target.result || []).forEach(summary => {
+            const parsed = parseChatKey(summary.chatKey);
+            if (parsed && parsed.legacyIndex !== undefined) {
+                if (!legacyGroups.has(summary.chatKey)) {
+                    legacyGroups.set(summary.chatKey, { parsed, summaries: [] });
+                }
+                legacyGroups.get(summary.chatKey).summaries.push(summary);
+            }
+        });
+
+        let migratedCount = 0, unresolvedCount = 0;
+        legacyGroups.forEach(({ parsed, summaries }, oldChatKey) => {
+            const entityNames = summaries
+                .sort((a, b) => b.timestamp - a.timestamp)
+                .map(summary => summary.entityName);
+            const avatar = resolveLegacyCharacterAvatar(parsed.legacyIndex, entityNames);
+            if (!avatar) {
+                unresolvedCount += summaries.length;
+                return;
+            }
+
+            const newChatKey = buildChatKey('char', avatar, parsed.chatId);
+            logDebug(`迁移旧版 chatKey: ${oldChatKey} -> ${newChatKey}`);
+            summaries.forEach(summary => {
+                const oldKey = [oldChatKey, summary.timestamp];
+                summaryStore.put({ ...summary, chatKey: newChatKey, entityType: 'char', entityId: avatar, chatId: parsed.chatId });
+                summaryStore.delete(oldKey);
+                payloadStore.get(oldKey).onsuccess = (payloadEvent) => {
+                    const payload = payloadEvent.target.result;
+                    if (payload) {
+                        payloadStore.put({ ...payload, chatKey: newChatKey });
+                        payloadStore.delete(oldKey);
+                    }
+                };
+                migratedCount++;
+            });
+        });
+
+        if (migratedCount > 0 || unresolvedCount > 0) {
+            console.log(`[聊天自动备份] 角色备份标识迁移: 已迁移 ${migratedCount} 个, 暂时无法确定角色 ${unresolvedCount} 个`);
+        }
+        onDone?.({ migratedCount, unresolvedCount });
+    };
+}
+
+// 运行时迁移仍使用角色索引的备份 (数据库升级时角色列表可能尚未加载)
+async function migrateLegacyCharacterKeys() {
+    if (!characters || characters.length === 0) {
+        logDebug('角色列表尚未加载，跳过旧版 chatKey 迁移');
+        return 0;
+    }
+    const db = await getDB();
+    try {
+        const result = await new Promise((resolve, reject) => {
+            const transaction = db.transaction([SUMMARY_STORE_NAME, PAYLOAD_STORE_NAME], 'readwrite');
+            let counts = { migratedCount: 0, unresolvedCount: 0 };
+
+            transaction.oncomplete = () => resolve(counts);
+            transaction.onerror = (event) => {
+                console.error('[聊天自动备份] 迁移旧版 chatKey 事务失败:', event.target.error);
+                reject(event.target.error);
+            };
+
+            rekeyLegacyCharacterBackups(transaction, (result) => {
+                counts = result;
+            });
+        });
+        if (result.migratedCount > 0) {
+            lastSnapshotCache = null;
+        }
+        return result.migratedCount;
+    } catch (error) {
+        console.error('[聊天自动备份] migrateLegacyCharacterKeys 失败:', error);
+        return 0;
+    }
+}
+
+// 补全旧摘要记录缺少的字段 (触发来源、固定、备注等后来加入的字段)
+function backfillSummaryFields(transaction, onDone) {
+    const summaryStore = transaction.objectStore(SUMMARY_STORE_NAME);
+    let updatedCount = 0;
+    summaryStore.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+            console.log(`[聊天自动备份] 已补全 ${updatedCount} 个备份摘要的字段`);
+            onDone?.();
+            return;
+        }
+        const summary = cursor.value;
+        const updated = {
+            trigger: 'auto',
+            protected: false,
+            pinned: false,
+            label: '',
+            note: '',
+            tags: [],
+            storageType: 'full',
+            parentTimestamp: null,
+            ...summary,
+            messageCount: summary.messageCount ?? summary.lastMessageId + 1,
+        };
+        if (Object.keys(updated).length !== Object.keys(summary).length || updated.messageCount !== summary.messageCount) {
+            cursor.update(updated);
+            updatedCount++;
+        }
+        cursor.continue();
+    };
+}
+
+// 数据库迁移步骤，按版本号升序执行
+// 每个步骤把数据库从 version - 1 升级到 version，只能使用升级事务内的 IndexedDB 操作 (不能 await 其他异步操作)
+// 完成后调用 done()；步骤中抛出的异常会中止整个升级事务，数据库保持升级前的版本和数据
+const DB_MIGRATIONS = [
+    {
+        version: 2,
+        description: '拆分为摘要/负载存储，迁移 v1 旧存储',
+        upgrade(db, transaction, done) {
+            createBackupStores(db);
+            migrateLegacyBackups(db, transaction, done);
+        },
+    },
+    {
+        version: 3,
+        description: '角色备份改用头像文件名作为稳定标识',
+        upgrade(db, transaction, done) {
+            rekeyLegacyCharacterBackups(transaction, () => done());
+        },
+    },
+    {
+        version: 4,
+        description: '补全旧摘要记录的字段默认值',
+        upgrade(db, transaction, done) {
+            backfillSummaryFields(transaction, done);
+        },
+    },
+    {
+        version: 5,
+        description: '创建共享消息存储',
+        upgrade(db, transaction, done) {
+            if (!db.objectStoreNames.contains(MESSAGE_STORE_NAME)) {
+                db.createObjectStore(MESSAGE_STORE_NAME, { keyPath: 'hash' });
+                console.log('[聊天自动备份] 创建了共享消息存储');
+            }
+            done();
+        },
+    },
+    {
+        version: 6,
+        description: '创建角色卡/群组定义快照存储',
+        upgrade(db, transaction, done) {
+            if (!db.objectStoreNames.contains(ENTITY_STORE_NAME)) {
+                db.createObjectStore(ENTITY_STORE_NAME, { keyPath: 'hash' });
+                console.log('[聊天自动备份] 创建了角色快照存储');
+            }
+            done();
+        },
+    },
+    {
+        version: 7,
+        description: '共享记录按记录统计占用大小',
+        upgrade(db, transaction, done) {
+            backfillSharedSizes(db, transaction, done);
+        },
+    },
+];
+
+// 记录中 data 实际占用的字节数 (压缩或加密后为二进制，否则为 JSON 大小)
+function getStoredDataSize(data) {
+    return data instanceof ArrayBuffer || ArrayBuffer.isView(data) ? data.byteLength : calculateByteSize(data);
+}
+
+// 为共享记录补全占用大小并建立索引；共享存储方式的摘要改为只计负载本身的大小
+// (之前摘要中还计入了首次写入的共享记录，删除该备份时并不会释放这部分空间)
+function backfillSharedSizes(db, transaction, onDone) {
+    const sharedStores = [MESSAGE_STORE_NAME, ENTITY_STORE_NAME].filter(name => db.objectStoreNames.contains(name));
+    let pendingCount = sharedStores.length + 1;
+    const finish = () => {
+        if (--pendingCount === 0) {
+            onDone?.();
+        }
+    };
+
+    sharedStores.forEach(storeName => {
+        const store = transaction.objectStore(storeName);
+        if (!store.indexNames.contains(SHARED_SIZE_INDEX)) {
+            store.createIndex(SHARED_SIZE_INDEX, SHARED_SIZE_INDEX, { unique: false });
+        }
+        let updatedCount = 0;
+        store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+                console.log(`[聊天自动备份] 已补全 ${updatedCount} 条共享记录 (${storeName}) 的占用大小`);
+                finish();
+                return;
+            }
+            if (typeof cursor.value.storedSize !== 'number') {
+                cursor.update({ ...cursor.value, storedSize: getStoredDataSize(cursor.value.data) });
+                updatedCount++;
+            }
+            cursor.continue();
+        };
+    });
+
+    const summaryStore = transaction.objectStore(SUMMARY_STORE_NAME);
+    const payloadStore = transaction.objectStore(PAYLOAD_STORE_NAME);
+    summaryStore.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+            finish();
+            return;
+        }
+        const summary = cursor.value;
+        if (summary.storageType === 'shared') {
+            payloadStore.get([summary.chatKey, summary.timestamp]).onsuccess = (payloadEvent) => {
+                const payload = payloadEvent.target.result;
+                if (payload) {
+                    cursor.update({ ...summary, storedSize: getStoredDataSize(payload.data) });
+                }
+                cursor.continue();
+            };
+        } else {
+            cursor.continue();
+        }
+    };
+}
+
+// 依次执行 oldVersion 之后的迁移步骤
+function runDatabaseMigrations(db, transaction, oldVersion) {
+    const steps = DB_MIGRATIONS.filter(step => step.version > oldVersion);
+    const runStep = (index) => {
+        if (index >= steps.length) {
+            console.log('[聊天自动备份] 数据库迁移完成');
+            return;
+        }
+        const step = steps[index];
+        console.log(`[聊天自动备份] 执行数据库迁移 v${step.version}: ${step.description}`);
+        try {
+            step.upgrade(db, transaction, () => runStep(index + 1));
+        } catch (error) {
+            console.error(`[聊天自动备份] 数据库迁移 v${step.version} 失败，中止升级:`, error);
+            transaction.abort();
+        }
+    };
+    runStep(0);
+}
+
+// 为连接设置版本变更处理: 其他标签页需要升级数据库时关闭本连接，下次访问时重新打开
+function attachConnectionHandlers(db) {
+    db.onversionchange = () => {
+        console.warn('[聊天自动备份] 其他标签页正在升级备份数据库，关闭当前连接');
+        db.close();
+        if (dbConnection === db) {
+            dbConnection = null;
+        }
+    };
+    db.onclose = () => {
+        if (dbConnection === db) {
+            dbConnection = null;
+        }
+    };
+    return db;
+}
+
+// 以数据库当前的版本打开 (不触发升级)，用于升级失败或数据库版本比插件新时的回退
+function openDatabaseWithoutUpgrade() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME);
+        request.onerror = (event) => reject(event.target.error);
+        request.onsuccess = (event) => {
+            const db = event.target.result;
+            const hasStores = db.objectStoreNames.contains(SUMMARY_STORE_NAME) && db.objectStoreNames.contains(PAYLOAD_STORE_NAME);
+            if (!hasStores) {
+                db.close();
+                reject(new Error(`备份数据库 (v${db.version}) 缺少必要的存储，无法以兼容模式打开`));
+                return;
+            }
+            resolve(attachConnectionHandlers(db));
+        };
+    });
+}
+
 // 初始化 IndexedDB 数据库
 function initDatabase() {
-    return new Promise((resolve, reject) => {
+    const openPromise = new Promise((resolve, reject) => {
         logDebug('初始化 IndexedDB 数据库');
         const request = indexedDB.open(DB_NAME, DB_VERSION);
 
@@ -134,34 +686,53 @@ function initDatabase() {
             reject(event.target.error);
         };
 
+        request.onblocked = function() {
+            console.warn('[聊天自动备份] 数据库升级被其他标签页阻塞');
+            toastr.warning('备份数据库需要升级，请关闭其他打开的 SillyTavern 标签页', '聊天自动备份', { timeOut: 10000 });
+        };
+
         request.onsuccess = function(event) {
             const db = event.target.result;
             logDebug('数据库打开成功');
-            resolve(db);
+            resolve(attachConnectionHandlers(db));
         };
 
         request.onupgradeneeded = function(event) {
             const db = event.target.result;
-            console.log('[聊天自动备份] 数据库升级中，创建对象存储');
-            if (!db.objectStoreNames.contains(STORE_NAME)) {
-                const store = db.createObjectStore(STORE_NAME, { keyPath: ['chatKey', 'timestamp'] });
-                store.createIndex('chatKey', 'chatKey', { unique: false });
-                console.log('[聊天自动备份] 创建了备份存储和索引');
-            }
+            console.log(`[聊天自动备份] 数据库升级中 (v${event.oldVersion} -> v${event.newVersion})`);
+            runDatabaseMigrations(db, event.target.transaction, event.oldVersion);
         };
     });
+
+    return openPromise.catch(async (error) => {
+        // VersionError: 数据库由更新版本的插件创建；AbortError: 升级事务失败并已回滚
+        if (error?.name !== 'VersionError' && error?.name !== 'AbortError') {
+            throw error;
+        }
+        console.warn(`[聊天自动备份] 无法升级到 v${DB_VERSION} (${error.name})，尝试以数据库当前版本打开`);
+        const db = await openDatabaseWithoutUpgrade();
+        toastr.warning(error.name === 'VersionError'
+            ? `备份数据库版本 (v${db.version}) 比插件新，已以兼容模式打开，建议更新插件`
+            : '备份数据库升级失败，已以升级前的版本打开，备份数据未受影响', '聊天自动备份', { timeOut: 10000 });
+        return db;
+    });
 }
 
 // 获取数据库连接 (优化版本 - 使用连接池)
 async function getDB() {
     try {
-        // 检查现有连接是否可用
-        if (dbConnection && dbConnection.readyState !== 'closed') {
+        // 检查现有连接是否可用 (连接关闭或被其他标签页的升级关闭时会被置空)
+        if (dbConnection) {
             return dbConnection;
         }
-        
-        // 创建新连接
-        dbConnection = await initDatabase();
+
+        // 创建新连接 (并发调用共用同一次打开，升级被阻塞时不会重复发起请求)
+        if (!dbOpenPromise) {
+            dbOpenPromise = initDatabase().finally(() => {
+                dbOpenPromise = null;
+            });
+        }
+        dbConnection = await dbOpenPromise;
         return dbConnection;
     } catch (error) {
         console.error('[聊天自动备份] 获取数据库连接失败:', error);
@@ -169,93 +740,183 @@ async function getDB() {
     }
 }
 
-// 保存备份到 IndexedDB (优化版本)
+// 保存备份到 IndexedDB (负载先压缩，摘要与负载在同一事务中写入)
 async function saveBackupToDB(backup) {
     const db = await getDB();
+    if (backup.storageType === 'shared' && !db.objectStoreNames.contains(MESSAGE_STORE_NAME)) {
+        logDebug('数据库中没有共享消息存储，改为保存完整快照');
+        backup = { ...backup, storageType: 'full' };
+    }
+    let { summary, payload: rawPayload } = splitBackupRecord(backup);
     try {
-        await new Promise((resolve, reject) => {
-            const transaction = db.transaction([STORE_NAME], 'readwrite');
-            
+        if (summary.checksum === undefined && Array.isArray(backup.chat)) {
+            summary.checksum = await calculateChecksum({ chat: backup.chat, metadata: backup.metadata || {} });
+        }
+        const shared = summary.storageType === 'shared' ? await prepareSharedRecords(MESSAGE_STORE_NAME, backup.chat) : null;
+        const entity = backup.entitySnapshot && db.objectStoreNames.contains(ENTITY_STORE_NAME)
+            ? await prepareSharedRecords(ENTITY_STORE_NAME, [backup.entitySnapshot])
+            : null;
+        const { record: payload, storedSize } = await encodePayload(rawPayload);
+        // 共享引用放在加密/压缩的数据之外，删除备份时无需解密即可释放引用
+        // 占用大小只计负载本身，共享记录的占用由 getSharedStoreUsage 统计
+        if (shared) {
+            payload.messageRefs = shared.refs;
+        }
+        if (entity) {
+            payload.entityRef = entity.refs[0];
+        }
+        summary.storedSize = storedSize;
+        summary = await sealSummaryForPayload(summary, payload);
+        logDebug(`负载已编码 (${payload.encoding}${summary.encrypted ? ', 已加密' : ''}): ${formatBytes(storedSize)}，原始 ${formatBytes(summary.byteSize)}`);
+
+        await putBackupRecord(summary, payload, { messages: shared?.newRecords, entities: entity?.newRecords });
+    } catch (error) {
+        console.error('[聊天自动备份] saveBackupToDB 失败:', error);
+        throw error;
+    }
+}
+
+// 在同一事务中写入已编码的摘要和负载记录
+// 负载引用共享消息或角色快照时同时调整引用计数 (覆盖已有记录时释放旧记录的引用)
+// newRecords: { messages, entities } 需要新写入的共享记录
+async function putBackupRecord(summary, payload, newRecords = {}) {
+    const db = await getDB();
+    const storeNames = getBackupStoreNames(db);
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, 'readwrite');
+
+        transaction.oncomplete = () => {
+            logDebug(`备份已保存到IndexedDB, 键: [${summary.chatKey}, ${summary.timestamp}]`);
+            resolve();
+        };
+
+        transaction.onerror = (event) => {
+            console.error('[聊天自动备份] 保存备份事务失败:', event.target.error);
+            reject(event.target.error);
+        };
+
+        transaction.onabort = () => {
+            reject(transaction.error || new Error('共享记录引用不完整，备份未保存'));
+        };
+
+        const payloadStore = transaction.objectStore(PAYLOAD_STORE_NAME);
+        payloadStore.get([summary.chatKey, summary.timestamp]).onsuccess = (event) => {
+            adjustPayloadRefs(transaction, storeNames, event.target.result, payload, newRecords);
+        };
+        transaction.objectStore(SUMMARY_STORE_NAME).put(summary);
+        payloadStore.put(payload);
+    });
+}
+
+// 更新备份摘要的部分字段 (固定、名称、备注、标签等)，返回更新后的摘要
+// 修改加密的字段时先解密整个摘要，合并后用当前密钥重新加密再写回
+async function updateBackupSummary(chatKey, timestamp, changes) {
+    const db = await getDB();
+    try {
+        let resealed = null; // 重新加密后的完整摘要，写入时整体替换
+        if (SEALED_SUMMARY_FIELDS.some(field => field in changes)) {
+            const record = await getBackupRecord(chatKey, timestamp);
+            if (record?.summary.sealed) {
+                const opened = await openSummary(record.summary, { required: true });
+                resealed = await sealSummary({ ...opened, ...changes }, isEncryptionEnabled() ? await requireEncryptionKey() : null);
+            }
+        }
+        const updated = await new Promise((resolve, reject) => {
+            const transaction = db.transaction([SUMMARY_STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(SUMMARY_STORE_NAME);
+            let updated = null;
+
             transaction.oncomplete = () => {
-                logDebug(`备份已保存到IndexedDB, 键: [${backup.chatKey}, ${backup.timestamp}]`);
-                resolve();
+                logDebug(`备份摘要已更新, 键: [${chatKey}, ${timestamp}]`, changes);
+                resolve(updated);
             };
-            
+
             transaction.onerror = (event) => {
-                console.error('[聊天自动备份] 保存备份事务失败:', event.target.error);
+                console.error('[聊天自动备份] 更新备份摘要事务失败:', event.target.error);
                 reject(event.target.error);
             };
-            
-            const store = transaction.objectStore(STORE_NAME);
-            store.put(backup);
+
+            store.get([chatKey, timestamp]).onsuccess = (event) => {
+                const summary = event.target.result;
+                if (!summary) {
+                    transaction.abort();
+                    reject(new Error('找不到指定的备份'));
+                    return;
+                }
+                updated = resealed ?? { ...summary, ...changes };
+                store.put(updated);
+            };
         });
+        return await openSummary(updated);
     } catch (error) {
-        console.error('[聊天自动备份] saveBackupToDB 失败:', error);
+        console.error('[聊天自动备份] updateBackupSummary 失败:', error);
         throw error;
     }
 }
 
-// 从 IndexedDB 获取指定聊天的所有备份 (优化版本)
-async function getBackupsForChat(chatKey) {
+// 从 IndexedDB 获取指定聊天的所有备份摘要 (不含聊天内容)，已解锁时解密其中加密的字段
+async function getBackupSummariesForChat(chatKey) {
     const db = await getDB();
     try {
-        return await new Promise((resolve, reject) => {
-            const transaction = db.transaction([STORE_NAME], 'readonly');
+        const summaries = await new Promise((resolve, reject) => {
+            const transaction = db.transaction([SUMMARY_STORE_NAME], 'readonly');
             
             transaction.onerror = (event) => {
-                console.error('[聊天自动备份] 获取备份事务失败:', event.target.error);
+                console.error('[聊天自动备份] 获取备份摘要事务失败:', event.target.error);
                 reject(event.target.error);
             };
             
-            const store = transaction.objectStore(STORE_NAME);
+            const store = transaction.objectStore(SUMMARY_STORE_NAME);
             const index = store.index('chatKey');
             const request = index.getAll(chatKey);
             
             request.onsuccess = () => {
-                const backups = request.result || [];
-                logDebug(`从IndexedDB获取了 ${backups.length} 个备份，chatKey: ${chatKey}`);
-                resolve(backups);
+                const summaries = request.result || [];
+                logDebug(`从IndexedDB获取了 ${summaries.length} 个备份摘要，chatKey: ${chatKey}`);
+                resolve(summaries);
             };
             
             request.onerror = (event) => {
-                console.error('[聊天自动备份] 获取备份失败:', event.target.error);
+                console.error('[聊天自动备份] 获取备份摘要失败:', event.target.error);
                 reject(event.target.error);
             };
         });
+        return await openSummaries(summaries);
     } catch (error) {
-        console.error('[聊天自动备份] getBackupsForChat 失败:', error);
+        console.error('[聊天自动备份] getBackupSummariesForChat 失败:', error);
         return []; // 出错时返回空数组
     }
 }
 
-// 从 IndexedDB 获取所有备份 (优化版本)
-async function getAllBackups() {
+// 从 IndexedDB 获取所有备份摘要 (不含聊天内容)，已解锁时解密其中加密的字段
+async function getAllBackupSummaries() {
     const db = await getDB();
     try {
-        return await new Promise((resolve, reject) => {
-            const transaction = db.transaction([STORE_NAME], 'readonly');
+        const summaries = await new Promise((resolve, reject) => {
+            const transaction = db.transaction([SUMMARY_STORE_NAME], 'readonly');
             
             transaction.onerror = (event) => {
-                console.error('[聊天自动备份] 获取所有备份事务失败:', event.target.error);
+                console.error('[聊天自动备份] 获取所有备份摘要事务失败:', event.target.error);
                 reject(event.target.error);
             };
             
-            const store = transaction.objectStore(STORE_NAME);
+            const store = transaction.objectStore(SUMMARY_STORE_NAME);
             const request = store.getAll();
             
             request.onsuccess = () => {
-                const backups = request.result || [];
-                logDebug(`从IndexedDB获取了总共 ${backups.length} 个备份`);
-                resolve(backups);
+                const summaries = request.result || [];
+                logDebug(`从IndexedDB获取了总共 ${summaries.length} 个备份摘要`);
+                resolve(summaries);
             };
             
             request.onerror = (event) => {
-                console.error('[聊天自动备份] 获取所有备份失败:', event.target.error);
+                console.error('[聊天自动备份] 获取所有备份摘要失败:', event.target.error);
                 reject(event.target.error);
             };
         });
+        return await openSummaries(summaries);
     } catch (error) {
-        console.error('[聊天自动备份] getAllBackups 失败:', error);
+        console.error('[聊天自动备份] getAllBackupSummaries 失败:', error);
         return [];
     }
 }
@@ -265,14 +926,14 @@ async function getAllBackupKeys() {
     const db = await getDB();
     try {
         return await new Promise((resolve, reject) => {
-            const transaction = db.transaction([STORE_NAME], 'readonly');
+            const transaction = db.transaction([SUMMARY_STORE_NAME], 'readonly');
 
             transaction.onerror = (event) => {
                 console.error('[聊天自动备份] 获取所有备份键事务失败:', event.target.error);
                 reject(event.target.error);
             };
 
-            const store = transaction.objectStore(STORE_NAME);
+            const store = transaction.objectStore(SUMMARY_STORE_NAME);
             // 使用 getAllKeys() 只获取主键
             const request = store.getAllKeys();
 
@@ -294,12 +955,76 @@ async function getAllBackupKeys() {
     }
 } 
 
-// 从 IndexedDB 删除指定备份 (优化版本)
+// 读取单个备份的摘要和原始负载记录 (不做增量还原)
+async function getBackupRecord(chatKey, timestamp) {
+    const db = await getDB();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction([SUMMARY_STORE_NAME, PAYLOAD_STORE_NAME], 'readonly');
+            let summary, payload;
+
+            transaction.oncomplete = () => {
+                if (!summary || !payload) {
+                    logDebug(`未找到备份记录, 键: [${chatKey}, ${timestamp}]`, { hasSummary: !!summary, hasPayload: !!payload });
+                    resolve(null);
+                    return;
+                }
+                resolve({ summary, payload });
+            };
+
+            transaction.onerror = (event) => {
+                console.error('[聊天自动备份] 读取备份记录事务失败:', event.target.error);
+                reject(event.target.error);
+            };
+
+            const key = [chatKey, timestamp];
+            transaction.objectStore(SUMMARY_STORE_NAME).get(key).onsuccess = (event) => {
+                summary = event.target.result;
+            };
+            transaction.objectStore(PAYLOAD_STORE_NAME).get(key).onsuccess = (event) => {
+                payload = event.target.result;
+            };
+        });
+    } catch (error) {
+        console.error('[聊天自动备份] getBackupRecord 失败:', error);
+        throw error;
+    }
+}
+
+// 读取完整备份 (摘要 + 还原后的聊天 + 角色/群组快照)，仅在恢复或查看时使用
+async function getFullBackup(chatKey, timestamp) {
+    try {
+        const record = await getBackupRecord(chatKey, timestamp);
+        if (!record) {
+            return null;
+        }
+        const { chat, metadata } = await loadBackupSnapshot(chatKey, timestamp);
+        const entitySnapshot = await getEntitySnapshot(record.payload.entityRef);
+        const summary = await openSummary(record.summary, { required: true });
+        return { ...summary, chat, metadata, entitySnapshot };
+    } catch (error) {
+        console.error('[聊天自动备份] getFullBackup 失败:', error);
+        throw error;
+    }
+}
+
+// 从 IndexedDB 删除指定备份 (同时删除摘要和负载)
+// 如果有增量备份依赖于它，会先把依赖者改写为基于其上一级的增量 (或完整快照)，保证链条不断裂
 async function deleteBackup(chatKey, timestamp) {
     const db = await getDB();
     try {
+        const summaries = await getBackupSummariesForChat(chatKey);
+        const target = summaries.find(s => s.timestamp === timestamp);
+        // 所有以该备份为基础的增量都要改写 (导入的存档或分叉的版本可能有多个子增量)，否则它们的链会断开
+        const children = target ? summaries.filter(s => s.storageType === 'delta' && s.parentTimestamp === timestamp) : [];
+        const rebasedChildren = [];
+        for (const child of children) {
+            rebasedChildren.push(await rebaseBackupOnto(child, target.storageType === 'delta' ? target.parentTimestamp : null));
+        }
+
         await new Promise((resolve, reject) => {
-            const transaction = db.transaction([STORE_NAME], 'readwrite');
+            const storeNames = getBackupStoreNames(db);
+            const transaction = db.transaction(storeNames, 'readwrite');
             
             transaction.oncomplete = () => {
                 logDebug(`已从IndexedDB删除备份, 键: [${chatKey}, ${timestamp}]`);
@@ -311,41 +1036,515 @@ async function deleteBackup(chatKey, timestamp) {
                 reject(event.target.error);
             };
             
-            const store = transaction.objectStore(STORE_NAME);
-            store.delete([chatKey, timestamp]);
+            const payloadStore = transaction.objectStore(PAYLOAD_STORE_NAME);
+            // 释放该备份引用的共享消息和角色快照，不再被任何备份引用的记录随之删除
+            payloadStore.get([chatKey, timestamp]).onsuccess = (event) => {
+                adjustPayloadRefs(transaction, storeNames, event.target.result, null);
+            };
+            transaction.objectStore(SUMMARY_STORE_NAME).delete([chatKey, timestamp]);
+            payloadStore.delete([chatKey, timestamp]);
+            rebasedChildren.forEach(rebasedChild => {
+                transaction.objectStore(SUMMARY_STORE_NAME).put(rebasedChild.summary);
+                transaction.objectStore(PAYLOAD_STORE_NAME).put(rebasedChild.payload);
+            });
         });
+
+        if (lastSnapshotCache && lastSnapshotCache.chatKey === chatKey && lastSnapshotCache.timestamp === timestamp) {
+            lastSnapshotCache = null;
+        }
     } catch (error) {
         console.error('[聊天自动备份] deleteBackup 失败:', error);
         throw error;
     }
 }
 
-// --- 聊天信息获取 (保持不变) ---
-function getCurrentChatKey() {
-    const context = getContext();
-    logDebug('获取当前聊天标识符, context:',
-        {groupId: context.groupId, characterId: context.characterId, chatId: context.chatId});
-    if (context.groupId) {
-        const key = `group_${context.groupId}_${context.chatId}`;
-        logDebug('当前是群组聊天，chatKey:', key);
-        return key;
-    } else if (context.characterId !== undefined && context.chatId) { // 确保chatId存在
-        const key = `char_${context.characterId}_${context.chatId}`;
-        logDebug('当前是角色聊天，chatKey:', key);
-        return key;
-    }
-    console.warn('[聊天自动备份] 无法获取当前聊天的有效标识符 (可能未选择角色/群组或聊天)');
-    return null;
+// --- 增量备份 (Delta) ---
+// 增量负载格式: { length, splices: [{ start, deleteCount, items }], metadata? }
+// - splices 按 start 降序依次应用到上一版本的聊天数组上 (追加、修改、删除都表示为 splice)
+// - metadata 不存在表示与上一版本相同
+
+// 将消息逐条序列化，用于快速比较
+function serializeMessages(chat) {
+    return chat.map(message => JSON.stringify(message));
 }
 
-function getCurrentChatInfo() {
-    const context = getContext();
-    let chatName = '当前聊天', entityName = '未知';
+// 计算从 previous 到 current 的增量 (previousSerialized/currentSerialized 为逐条序列化结果)
+function computeChatDelta(previousSerialized, currentSerialized, currentChat) {
+    const previousLength = previousSerialized.length;
+    const currentLength = currentSerialized.length;
 
-    if (context.groupId) {
-        const group = context.groups?.find(g => g.id === context.groupId);
-        entityName = group ? group.name : `群组 ${context.groupId}`;
-        chatName = context.chatId || '新聊天'; // 使用更明确的默认名
+    // 公共前缀和公共后缀
+    let prefix = 0;
+    while (prefix < previousLength && prefix < currentLength && previousSerialized[prefix] === currentSerialized[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < previousLength - prefix && suffix < currentLength - prefix &&
+        previousSerialized[previousLength - 1 - suffix] === currentSerialized[currentLength - 1 - suffix]) {
+        suffix++;
+    }
+
+    const previousMiddle = previousLength - prefix - suffix;
+    const currentMiddle = currentLength - prefix - suffix;
+    const splices = [];
+
+    if (previousMiddle === currentMiddle) {
+        // 长度不变: 只记录真正变化的连续片段
+        let runStart = -1;
+        for (let i = prefix; i <= prefix + currentMiddle; i++) {
+            const changed = i < prefix + currentMiddle && previousSerialized[i] !== currentSerialized[i];
+            if (changed && runStart === -1) {
+                runStart = i;
+            } else if (!changed && runStart !== -1) {
+                splices.push({ start: runStart, deleteCount: i - runStart, items: currentChat.slice(runStart, i) });
+                runStart = -1;
+            }
+        }
+    } else {
+        // 追加、删除或插入: 用一个 splice 替换中间变化的部分
+        splices.push({ start: prefix, deleteCount: previousMiddle, items: currentChat.slice(prefix, prefix + currentMiddle) });
+    }
+
+    splices.sort((a, b) => b.start - a.start);
+    return { length: currentLength, splices };
+}
+
+// 将增量应用到上一版本的聊天数组 (会修改传入的数组)
+function applyChatDelta(chat, delta) {
+    delta.splices.forEach(({ start, deleteCount, items }) => {
+        chat.splice(start, deleteCount, ...items);
+    });
+    if (chat.length !== delta.length) {
+        throw new Error(`增量还原后的消息数 (${chat.length}) 与记录的消息数 (${delta.length}) 不一致`);
+    }
+    return chat;
+}
+
+// 还原指定时间点的完整聊天: 从基础快照开始，依次应用增量链
+async function loadBackupSnapshot(chatKey, timestamp) {
+    if (lastSnapshotCache && lastSnapshotCache.chatKey === chatKey && lastSnapshotCache.timestamp === timestamp) {
+        return {
+            chat: structuredClone(lastSnapshotCache.chat),
+            metadata: structuredClone(lastSnapshotCache.metadata),
+        };
+    }
+
+    // 沿 parentTimestamp 回溯到基础快照
+    const chain = [];
+    let currentTimestamp = timestamp;
+    while (currentTimestamp !== null && currentTimestamp !== undefined) {
+        const record = await getBackupRecord(chatKey, currentTimestamp);
+        if (!record) {
+            throw new Error(`备份链不完整，缺少记录 [${chatKey}, ${currentTimestamp}]`);
+        }
+        chain.push(record);
+        currentTimestamp = record.summary.storageType === 'delta' ? record.summary.parentTimestamp : null;
+    }
+
+    const base = await decodeBackupBody(chain.pop().payload);
+    let chat = base.chat || [];
+    let metadata = base.metadata || {};
+    while (chain.length > 0) {
+        const { delta } = await decodePayload(chain.pop().payload);
+        chat = applyChatDelta(chat, delta);
+        if (delta.metadata !== undefined) {
+            metadata = delta.metadata;
+        }
+    }
+    logDebug(`已还原备份 [${chatKey}, ${timestamp}]，消息数: ${chat.length}`);
+    return { chat, metadata };
+}
+
+// 计算某个备份距离其基础快照的增量深度
+function getDeltaChainDepth(summary, summariesByTimestamp) {
+    let depth = 0;
+    let current = summary;
+    while (current && current.storageType === 'delta') {
+        depth++;
+        current = summariesByTimestamp.get(current.parentTimestamp);
+    }
+    return depth;
+}
+
+// 将一个备份改写为基于 newParentTimestamp 的增量 (为 null 时改写为完整快照)
+// 返回新的摘要和负载记录，由调用者在删除事务中写入
+async function rebaseBackupOnto(summary, newParentTimestamp) {
+    const { chat, metadata } = await loadBackupSnapshot(summary.chatKey, summary.timestamp);
+    const payload = { chatKey: summary.chatKey, timestamp: summary.timestamp };
+    // 从存储的原始摘要改写，传入的摘要可能已解密，不能写回明文字段
+    const original = await getBackupRecord(summary.chatKey, summary.timestamp);
+    let newSummary = { ...original.summary };
+
+    if (newParentTimestamp === null || newParentTimestamp === undefined) {
+        payload.chat = chat;
+        payload.metadata = metadata;
+        newSummary.storageType = 'full';
+        newSummary.parentTimestamp = null;
+        logDebug(`增量备份 [${summary.chatKey}, ${summary.timestamp}] 的基础被删除，改写为完整快照`);
+    } else {
+        const parent = await loadBackupSnapshot(summary.chatKey, newParentTimestamp);
+        const delta = computeChatDelta(serializeMessages(parent.chat), serializeMessages(chat), chat);
+        if (JSON.stringify(parent.metadata) !== JSON.stringify(metadata)) {
+            delta.metadata = metadata;
+        }
+        payload.delta = delta;
+        newSummary.parentTimestamp = newParentTimestamp;
+        logDebug(`增量备份 [${summary.chatKey}, ${summary.timestamp}] 已改写为基于 ${newParentTimestamp} 的增量`);
+    }
+    const { record, storedSize } = await encodePayload(payload);
+    // 保留原记录的角色快照引用 (引用计数不变)
+    if (original.payload.entityRef) {
+        record.entityRef = original.payload.entityRef;
+    }
+    newSummary.storedSize = storedSize;
+    newSummary = await sealSummaryForPayload(newSummary, record);
+    return { summary: newSummary, payload: record };
+}
+
+// 根据设置把完整备份转换为增量备份 (需要时仍保存完整快照)
+async function buildDeltaBackup(backup, existingSummaries, settings) {
+    if (existingSummaries.length === 0) {
+        logDebug('当前聊天没有已有备份，保存完整基础快照');
+        return backup;
+    }
+
+    const summariesByTimestamp = new Map(existingSummaries.map(s => [s.timestamp, s]));
+    const latest = existingSummaries.reduce((a, b) => (a.timestamp > b.timestamp ? a : b));
+    const depth = getDeltaChainDepth(latest, summariesByTimestamp);
+    if (depth + 1 >= settings.deltaBaseInterval) {
+        logDebug(`增量链深度已达 ${depth + 1}，保存新的完整基础快照`);
+        return backup;
+    }
+
+    const previous = await loadBackupSnapshot(backup.chatKey, latest.timestamp);
+    const delta = computeChatDelta(serializeMessages(previous.chat), serializeMessages(backup.chat), backup.chat);
+    if (JSON.stringify(previous.metadata) !== JSON.stringify(backup.metadata)) {
+        delta.metadata = backup.metadata;
+    }
+
+    const { chat, metadata, ...summaryFields } = backup;
+    logDebug(`生成增量备份，基于 ${latest.timestamp}，变更片段数: ${delta.splices.length}`);
+    return {
+        ...summaryFields,
+        storageType: 'delta',
+        parentTimestamp: latest.timestamp,
+        delta,
+    };
+}
+
+// --- 共享内容存储 ---
+// 共享存储方式的备份不保存完整的 chat，而是保存按顺序排列的消息哈希 (负载记录的 messageRefs) 和 metadata
+// 消息本身按内容哈希保存在 MESSAGE_STORE_NAME 中，相同内容的消息在所有备份之间只存一份
+// 角色卡/群组定义快照以同样的方式保存在 ENTITY_STORE_NAME 中 (负载记录的 entityRef)
+// 共享记录: { hash, refCount, storedSize, format, encoding: 'none', data, encryption? }，refCount 为引用它的备份数
+// 单条记录很小，压缩收益有限，因此只在启用加密时加密，不压缩
+// 共享记录的占用不计入任何备份的 storedSize (它要等所有引用它的备份都删除后才释放)，由 getSharedStoreUsage 单独统计
+
+// 数据库中存在的备份相关存储 (以兼容模式打开的旧版本数据库可能没有共享存储)
+function getBackupStoreNames(db) {
+    return [SUMMARY_STORE_NAME, PAYLOAD_STORE_NAME, MESSAGE_STORE_NAME, ENTITY_STORE_NAME].filter(name => db.objectStoreNames.contains(name));
+}
+
+// 将单个内容编码为共享记录 (不含 refCount)，返回 { record, storedSize }
+async function encodeSharedRecord(hash, content, key) {
+    if (key) {
+        const { iv, data } = await encryptBytes(key.key, new TextEncoder().encode(JSON.stringify(content)));
+        return {
+            record: { hash, storedSize: data.byteLength, format: PAYLOAD_FORMAT_VERSION, encoding: 'none', encryption: { algorithm: 'AES-GCM', keyId: key.keyId, iv }, data },
+            storedSize: data.byteLength,
+        };
+    }
+    const storedSize = calculateByteSize(content);
+    return {
+        record: { hash, storedSize, format: PAYLOAD_FORMAT_VERSION, encoding: 'none', data: content },
+        storedSize,
+    };
+}
+
+// 共享存储实际占用的字节数 (每条记录只计一次，与引用它的备份数量无关)
+async function getSharedStoreUsage() {
+    const db = await getDB();
+    const storeNames = [MESSAGE_STORE_NAME, ENTITY_STORE_NAME].filter(name => db.objectStoreNames.contains(name));
+    if (storeNames.length === 0) {
+        return 0;
+    }
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, 'readonly');
+        let total = 0;
+
+        transaction.oncomplete = () => resolve(total);
+        transaction.onerror = (event) => {
+            console.error('[聊天自动备份] 统计共享存储占用事务失败:', event.target.error);
+            reject(event.target.error);
+        };
+
+        storeNames.forEach(storeName => {
+            const store = transaction.objectStore(storeName);
+            if (store.indexNames.contains(SHARED_SIZE_INDEX)) {
+                // 只遍历索引键 (记录大小)，不加载记录内容
+                store.index(SHARED_SIZE_INDEX).openKeyCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        total += cursor.key;
+                        cursor.continue();
+                    }
+                };
+            } else {
+                // 以兼容模式打开的旧版本数据库没有索引
+                store.openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        total += cursor.value.storedSize ?? getStoredDataSize(cursor.value.data);
+                        cursor.continue();
+                    }
+                };
+            }
+        });
+    });
+}
+
+// 全部备份的实际占用: 各备份自身的负载 + 共享存储中的记录
+async function getBackupStorageUsage() {
+    const payloadBytes = (await getAllBackupSummaries()).reduce((total, summary) => total + getBackupStoredSize(summary), 0);
+    return payloadBytes + await getSharedStoreUsage();
+}
+
+// 返回已存在于共享存储中的哈希
+async function getExistingSharedHashes(storeName, hashes) {
+    const db = await getDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readonly');
+        const store = transaction.objectStore(storeName);
+        const existing = new Set();
+
+        transaction.oncomplete = () => resolve(existing);
+        transaction.onerror = (event) => {
+            console.error(`[聊天自动备份] 查询共享存储 ${storeName} 事务失败:`, event.target.error);
+            reject(event.target.error);
+        };
+
+        hashes.forEach(hash => {
+            store.getKey(hash).onsuccess = (event) => {
+                if (event.target.result !== undefined) {
+                    existing.add(hash);
+                }
+            };
+        });
+    });
+}
+
+// 计算每个内容的哈希，并编码共享存储中还没有的内容
+// 返回 { refs, newRecords, addedSize }: refs 为按顺序排列的哈希，newRecords 为需要新写入的记录 (addedSize 仅用于日志)
+async function prepareSharedRecords(storeName, contents) {
+    const refs = [];
+    const contentsByHash = new Map();
+    for (const content of contents) {
+        const hash = await calculateChecksum(content);
+        if (hash === null) {
+            throw new Error('当前环境不支持计算内容哈希，无法使用共享存储');
+        }
+        refs.push(hash);
+        contentsByHash.set(hash, content);
+    }
+
+    const existing = await getExistingSharedHashes(storeName, [...contentsByHash.keys()]);
+    const key = isEncryptionEnabled() ? await requireEncryptionKey() : null;
+    const newRecords = new Map();
+    let addedSize = 0;
+    for (const [hash, content] of contentsByHash) {
+        if (existing.has(hash)) {
+            continue;
+        }
+        const { record, storedSize } = await encodeSharedRecord(hash, content, key);
+        newRecords.set(hash, record);
+        addedSize += storedSize;
+    }
+    logDebug(`共享存储 ${storeName}: ${refs.length} 个引用，新增 ${newRecords.size} 条记录 (${formatBytes(addedSize)})`);
+    return { refs, newRecords, addedSize };
+}
+
+// 在给定的读写事务中把引用从 oldRefs 调整为 newRefs (同一备份内重复的内容只计一次引用)
+// 引用计数降为 0 的记录被删除；新引用的记录不存在时从 newRecords 写入，找不到则中止事务
+function adjustSharedRefs(transaction, storeName, oldRefs, newRefs, newRecords = null) {
+    const changes = new Map();
+    new Set(oldRefs || []).forEach(hash => changes.set(hash, -1));
+    new Set(newRefs || []).forEach(hash => changes.set(hash, (changes.get(hash) || 0) + 1));
+
+    const store = transaction.objectStore(storeName);
+    changes.forEach((change, hash) => {
+        if (change === 0) {
+            return;
+        }
+        store.get(hash).onsuccess = (event) => {
+            const record = event.target.result;
+            const refCount = (record?.refCount || 0) + change;
+            if (refCount <= 0) {
+                if (record) {
+                    store.delete(hash);
+                }
+            } else if (record) {
+                store.put({ ...record, refCount });
+            } else if (newRecords?.has(hash)) {
+                store.put({ ...newRecords.get(hash), refCount });
+            } else {
+                console.error(`[聊天自动备份] 共享记录 ${storeName}/${hash} 已不存在，中止写入`);
+                transaction.abort();
+            }
+        };
+    });
+}
+
+// 在读写事务中把备份负载的共享引用从 oldPayload 调整为 newPayload (删除时 newPayload 为 null)
+// newRecords: { messages, entities } 需要新写入的共享记录
+function adjustPayloadRefs(transaction, storeNames, oldPayload, newPayload, newRecords = {}) {
+    if (storeNames.includes(MESSAGE_STORE_NAME)) {
+        adjustSharedRefs(transaction, MESSAGE_STORE_NAME, oldPayload?.messageRefs, newPayload?.messageRefs, newRecords.messages);
+    }
+    if (storeNames.includes(ENTITY_STORE_NAME)) {
+        const toRefs = payload => (payload?.entityRef ? [payload.entityRef] : null);
+        adjustSharedRefs(transaction, ENTITY_STORE_NAME, toRefs(oldPayload), toRefs(newPayload), newRecords.entities);
+    }
+}
+
+// 按引用顺序读取并解码共享记录
+async function getSharedRecords(storeName, refs, key = undefined) {
+    const db = await getDB();
+    const records = await new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readonly');
+        const store = transaction.objectStore(storeName);
+        const found = new Map();
+
+        transaction.oncomplete = () => resolve(found);
+        transaction.onerror = (event) => {
+            console.error(`[聊天自动备份] 读取共享存储 ${storeName} 事务失败:`, event.target.error);
+            reject(event.target.error);
+        };
+
+        new Set(refs).forEach(hash => {
+            store.get(hash).onsuccess = (event) => {
+                if (event.target.result) {
+                    found.set(hash, event.target.result);
+                }
+            };
+        });
+    });
+
+    const contents = new Map();
+    for (const [hash, record] of records) {
+        contents.set(hash, await decodePayload(record, key));
+    }
+    // 同一内容出现多次时各自复制一份，避免还原后的数组中出现共享的对象
+    const used = new Set();
+    return refs.map(hash => {
+        if (!contents.has(hash)) {
+            throw new Error(`共享存储中缺少记录 ${hash.substring(0, 12)}，备份已损坏`);
+        }
+        if (used.has(hash)) {
+            return structuredClone(contents.get(hash));
+        }
+        used.add(hash);
+        return contents.get(hash);
+    });
+}
+
+// 解码负载记录，共享存储的备份同时还原 chat ({ chat, metadata } 或 { delta })
+async function decodeBackupBody(record, key = undefined) {
+    const body = await decodePayload(record, key);
+    if (record.messageRefs) {
+        body.chat = await getSharedRecords(MESSAGE_STORE_NAME, record.messageRefs, key);
+    }
+    return body;
+}
+
+// 用 newKey 重新编码共享存储中的所有记录 (为 null 时解密为明文)，返回失败的数量
+async function reencryptSharedStore(storeName, oldKey, newKey) {
+    const db = await getDB();
+    if (!db.objectStoreNames.contains(storeName)) {
+        return 0;
+    }
+    const hashes = await new Promise((resolve, reject) => {
+        const request = db.transaction([storeName], 'readonly').objectStore(storeName).getAllKeys();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = (event) => reject(event.target.error);
+    });
+
+    let failedCount = 0;
+    for (const hash of hashes) {
+        try {
+            const record = await new Promise((resolve, reject) => {
+                const request = db.transaction([storeName], 'readonly').objectStore(storeName).get(hash);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = (event) => reject(event.target.error);
+            });
+            if (!record) {
+                continue;
+            }
+            const content = await decodePayload(record, oldKey);
+            const { record: encoded } = await encodeSharedRecord(hash, content, newKey);
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction([storeName], 'readwrite');
+                const store = transaction.objectStore(storeName);
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = (event) => reject(event.target.error);
+                // 重新读取引用计数，保证不覆盖期间发生的引用变化
+                store.get(hash).onsuccess = (event) => {
+                    if (event.target.result) {
+                        store.put({ ...encoded, refCount: event.target.result.refCount });
+                    }
+                };
+            });
+        } catch (error) {
+            failedCount++;
+            console.error(`[聊天自动备份] 重新加密共享记录 ${storeName}/${hash} 失败:`, error);
+        }
+    }
+    return failedCount;
+}
+
+// --- 聊天信息获取 ---
+// 获取当前聊天的稳定标识: 角色使用头像文件名 (不随角色列表的排序、导入或删除而变化)，群组使用群组 ID
+function getCurrentChatIdentity() {
+    const context = getContext();
+    if (context.groupId) {
+        return { entityType: 'group', entityId: context.groupId, chatId: context.chatId };
+    } else if (context.characterId !== undefined && context.chatId) { // 确保chatId存在
+        const avatar = context.characters?.[context.characterId]?.avatar;
+        if (!avatar) {
+            console.warn('[聊天自动备份] 当前角色没有头像文件名，无法生成稳定标识符:', context.characterId);
+            return null;
+        }
+        return { entityType: 'char', entityId: avatar, chatId: context.chatId };
+    }
+    return null;
+}
+
+// 由实体类型、实体 ID 和聊天文件 ID 组成 chatKey
+function buildChatKey(entityType, entityId, chatId) {
+    return `${entityType}_${entityId}_${chatId}`;
+}
+
+function getCurrentChatKey() {
+    const context = getContext();
+    logDebug('获取当前聊天标识符, context:',
+        {groupId: context.groupId, characterId: context.characterId, chatId: context.chatId});
+    const identity = getCurrentChatIdentity();
+    if (identity) {
+        const key = buildChatKey(identity.entityType, identity.entityId, identity.chatId);
+        logDebug(`当前是${identity.entityType === 'group' ? '群组' : '角色'}聊天，chatKey:`, key);
+        return key;
+    }
+    console.warn('[聊天自动备份] 无法获取当前聊天的有效标识符 (可能未选择角色/群组或聊天)');
+    return null;
+}
+
+function getCurrentChatInfo() {
+    const context = getContext();
+    let chatName = '当前聊天', entityName = '未知';
+
+    if (context.groupId) {
+        const group = context.groups?.find(g => g.id === context.groupId);
+        entityName = group ? group.name : `群组 ${context.groupId}`;
+        chatName = context.chatId || '新聊天'; // 使用更明确的默认名
         logDebug('获取到群组聊天信息:', {entityName, chatName});
     } else if (context.characterId !== undefined) {
         entityName = context.name2 || `角色 ${context.characterId}`;
@@ -365,9 +1564,182 @@ function getCurrentChatInfo() {
     return { entityName, chatName };
 }
 
+// 捕获当前聊天的状态，用作 executeBackupLogic 的 options.snapshot
+// cloneMessages 为 false 时只复制消息数组 (消息对象在真正备份时才深拷贝)，
+// 为 true 时完整复制，用于聊天随后可能被删除或修改的场景
+function captureCurrentChatSnapshot(cloneMessages = false) {
+    const identity = getCurrentChatIdentity();
+    const { chat, chat_metadata } = getContext();
+    if (!identity || !chat || chat.length === 0) {
+        return null;
+    }
+    return {
+        identity,
+        chatKey: buildChatKey(identity.entityType, identity.entityId, identity.chatId),
+        ...getCurrentChatInfo(),
+        chat: cloneMessages ? structuredClone(chat) : chat.slice(),
+        metadata: structuredClone(chat_metadata || {}),
+        entity: captureEntitySnapshot(identity),
+    };
+}
+
+// --- 角色/群组快照 ---
+// 每个备份附带角色卡或群组定义的快照 (在共享存储中按内容去重)，角色/群组被删除后可据此重建再恢复聊天
+// 角色快照: { entityType: 'char', entityId, name, card }，card 为可直接导入的 V2 角色卡 JSON (不含头像图片)
+// 群组快照: { entityType: 'group', entityId, name, group, members: [{ avatar, name }] }
+
+// 角色/群组对象中随聊天切换而变化的字段，不计入快照 (否则每个聊天都会产生不同的快照)
+const VOLATILE_CHARACTER_FIELDS = ['chat', 'date_last_chat', 'chat_size', 'data_size', 'json_data', 'shallow'];
+const VOLATILE_GROUP_FIELDS = ['id', 'chat_id', 'chats', 'past_metadata', 'chat_metadata'];
+
+// 捕获备份所属角色的角色卡或群组的定义，无法捕获时返回 null
+function captureEntitySnapshot(identity) {
+    const context = getContext();
+    if (identity.entityType === 'group') {
+        const group = context.groups?.find(g => g.id === identity.entityId);
+        if (!group) {
+            return null;
+        }
+        const definition = { ...group };
+        VOLATILE_GROUP_FIELDS.forEach(field => delete definition[field]);
+        return {
+            entityType: 'group',
+            entityId: identity.entityId,
+            name: group.name,
+            group: structuredClone(definition),
+            members: (group.members || []).map(avatar => ({ avatar, name: characters.find(character => character.avatar === avatar)?.name || avatar })),
+        };
+    }
+
+    const character = characters.find(c => c.avatar === identity.entityId);
+    if (!character || character.shallow) {
+        // 按需加载的角色只有部分字段，不保存不完整的角色卡
+        return null;
+    }
+    const fields = { ...character };
+    VOLATILE_CHARACTER_FIELDS.forEach(field => delete fields[field]);
+    const data = character.data ?? {
+        name: character.name,
+        description: character.description,
+        personality: character.personality,
+        scenario: character.scenario,
+        first_mes: character.first_mes,
+        mes_example: character.mes_example,
+    };
+    return {
+        entityType: 'char',
+        entityId: identity.entityId,
+        name: character.name,
+        card: structuredClone({ spec: 'chara_card_v2', spec_version: '2.0', ...fields, data }),
+    };
+}
+
+// 读取备份负载引用的角色/群组快照，读取失败时返回 null (不影响聊天内容的恢复)
+async function getEntitySnapshot(entityRef, key = undefined) {
+    if (!entityRef) {
+        return null;
+    }
+    try {
+        const [snapshot] = await getSharedRecords(ENTITY_STORE_NAME, [entityRef], key);
+        return snapshot;
+    } catch (error) {
+        console.warn('[聊天自动备份] 读取角色/群组快照失败:', error);
+        return null;
+    }
+}
+
+// 备份对应的角色/群组当前是否存在
+function entityExists(isGroup, entityId) {
+    if (isGroup) {
+        return !!getContext().groups?.some(group => group.id === entityId);
+    }
+    return characters.some(character => character.avatar === entityId);
+}
+
+// 根据快照重建角色或群组，返回新的实体 ID (角色为头像文件名，群组为群组 ID)
+async function recreateEntityFromSnapshot(snapshot) {
+    if (snapshot.entityType === 'group') {
+        const members = (snapshot.group.members || []).filter(avatar => entityExists(false, avatar));
+        if (members.length === 0) {
+            throw new Error('群组的成员都已不存在，无法重建群组');
+        }
+        const response = await fetch('/api/groups/create', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({
+                ...snapshot.group,
+                members,
+                disabled_members: (snapshot.group.disabled_members || []).filter(avatar => members.includes(avatar)),
+            }),
+        });
+        if (!response.ok) {
+            throw new Error(`创建群组失败 (${response.status})`);
+        }
+        const group = await response.json();
+        await getGroups();
+        logDebug(`已根据快照重建群组 ${snapshot.name}: ${group.id}`);
+        return group.id;
+    }
+
+    const formData = new FormData();
+    formData.append('avatar', new File([JSON.stringify(snapshot.card)], `${sanitizeFileName(snapshot.name)}.json`, { type: 'application/json' }));
+    formData.append('file_type', 'json');
+    const response = await fetch('/api/characters/import', {
+        method: 'POST',
+        headers: getRequestHeaders({ omitContentType: true }),
+        body: formData,
+        cache: 'no-cache',
+    });
+    if (!response.ok) {
+        throw new Error(`导入角色卡失败 (${response.status})`);
+    }
+    const result = await response.json();
+    if (result.error || !result.file_name) {
+        throw new Error('导入角色卡失败');
+    }
+    await getCharacters();
+    logDebug(`已根据快照重建角色 ${snapshot.name}: ${result.file_name}.png`);
+    return `${result.file_name}.png`;
+}
+
+// 备份对应的角色/群组不存在时，询问是否根据快照重建；返回新的实体 ID，取消或失败时返回 null
+async function promptRecreateEntity(backupData, isGroup) {
+    const kind = isGroup ? '群组' : '角色';
+    const snapshot = backupData.entitySnapshot;
+    if (!snapshot || (snapshot.entityType === 'group') !== isGroup) {
+        toastr.error(`找不到备份对应的${kind}，它可能已被删除或重命名，且此备份没有保存${kind}快照`, '聊天自动备份');
+        return null;
+    }
+
+    const missingMembers = isGroup ? (snapshot.members || []).filter(member => !entityExists(false, member.avatar)) : [];
+    const confirmed = await callGenericPopup(
+        `<p>备份对应的${kind} "${escapeHtml(snapshot.name)}" 已不存在，它可能已被删除或重命名。</p>
+        <p>是否根据备份中保存的${isGroup ? '群组定义' : '角色卡'}重新创建${kind}，并把聊天恢复到其中？</p>
+        ${isGroup ? '' : '<p>重建的角色使用默认头像。</p>'}
+        ${missingMembers.length ? `<p>以下成员已不存在，不会加入重建的群组: ${missingMembers.map(member => escapeHtml(member.name)).join('、')}</p>` : ''}`,
+        POPUP_TYPE.CONFIRM,
+        '',
+        { okButton: `重建${kind}`, cancelButton: '取消' },
+    );
+    if (!confirmed) {
+        return null;
+    }
+
+    try {
+        const entityId = await recreateEntityFromSnapshot(snapshot);
+        toastr.success(`已重新创建${kind} "${snapshot.name}"`, '聊天自动备份');
+        return entityId;
+    } catch (error) {
+        console.error(`[聊天自动备份] 重建${kind}失败:`, error);
+        toastr.error(`重建${kind}失败: ${error.message}`, '聊天自动备份');
+        return null;
+    }
+}
+
 // --- Web Worker 通信 ---
-// 发送数据到 Worker 并返回包含拷贝后数据的 Promise
-function performDeepCopyInWorker(chat, metadata) {
+// 发送任务到 Worker 并返回包含结果的 Promise
+// action: 'copy' 深拷贝, 'compress' 序列化并压缩, 'decompress' 解压并解析
+function runWorkerTask(action, payload, transfer = []) {
     return new Promise((resolve, reject) => {
         if (!backupWorker) {
             return reject(new Error("Backup worker not initialized."));
@@ -376,13 +1748,13 @@ function performDeepCopyInWorker(chat, metadata) {
         const currentRequestId = ++workerRequestId;
         workerPromises[currentRequestId] = { resolve, reject };
 
-        logDebug(`[主线程] 发送数据到 Worker (ID: ${currentRequestId}), Chat长度: ${chat?.length}`);
+        logDebug(`[主线程] 发送任务到 Worker (ID: ${currentRequestId}, 操作: ${action})`);
         try {
-             // 只发送需要拷贝的数据，减少序列化开销
             backupWorker.postMessage({
                 id: currentRequestId,
-                payload: { chat, metadata }
-            });
+                action,
+                payload
+            }, transfer);
         } catch (error) {
              console.error(`[主线程] 发送消息到 Worker 失败 (ID: ${currentRequestId}):`, error);
              delete workerPromises[currentRequestId];
@@ -391,52 +1763,929 @@ function performDeepCopyInWorker(chat, metadata) {
     });
 }
 
-// --- 核心备份逻辑 (接收 settings 作为参数) ---
-async function executeBackupLogic(settings) {
-    const currentTimestamp = Date.now();
-    logDebug(`开始执行核心备份逻辑 @ ${new Date(currentTimestamp).toLocaleTimeString()}`);
+// 发送数据到 Worker 并返回包含拷贝后数据的 Promise
+function performDeepCopyInWorker(chat, metadata) {
+    logDebug(`[主线程] 请求 Worker 深拷贝, Chat长度: ${chat?.length}`);
+    // 只发送需要拷贝的数据，减少序列化开销
+    return runWorkerTask('copy', { chat, metadata });
+}
 
-    // 1. 前置检查
-    const chatKey = getCurrentChatKey();
-    if (!chatKey) {
-        console.warn('[聊天自动备份] 无有效的聊天标识符，取消备份');
-        return false; // 返回 false 表示备份未执行
-    }
+// --- 加密 (AES-GCM，密钥由用户密码经 PBKDF2 派生) ---
+// 设置中只保存盐、迭代次数和用于校验密码的验证块，密钥只保存在内存中
+// 设置是一个密钥环 { keyId, keys: { [keyId]: { salt, iterations, verifierIv, verifier } } }，keyId 为加密新备份的当前密钥
+// 修改密码时新旧密钥同时保留在密钥环中，直到没有任何记录再使用旧密钥，中途中断也不会丢失可解密的密钥
+const ENCRYPTION_ITERATIONS = 310000;
+const ENCRYPTION_VERIFIER_TEXT = 'chat-auto-backup-key-check';
+
+const unlockedKeys = new Map();        // 已解锁的密钥 keyId -> { keyId, key }
+let encryptionUnlockPromise = null;   // 正在进行的解锁弹窗 (并发请求共用)
+let encryptionUnlockDismissed = false; // 用户取消解锁后，自动备份不再反复弹窗
+const keyringUnlockPromises = new Map(); // 正在进行的旧密码输入弹窗 keyId -> Promise
+const dismissedKeyringKeys = new Set(); // 用户取消输入的旧密码，解锁或锁定前不再弹窗
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
 
-    const context = getContext();
-    const { chat, chat_metadata } = context;
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
 
-    if (!chat || chat.length === 0) {
-        logDebug('聊天记录为空，取消备份');
-        return false; // 返回 false 表示备份未执行
-    }
+function isEncryptionEnabled() {
+    return !!extension_settings[PLUGIN_NAME]?.encryption;
+}
 
-    const { entityName, chatName } = getCurrentChatInfo();
-    const lastMsgIndex = chat.length - 1;
-    const lastMessage = chat[lastMsgIndex];
-    const lastMessagePreview = lastMessage?.mes?.substring(0, 100) || '(空消息)';
+function isEncryptionLocked() {
+    return isEncryptionEnabled() && !unlockedKeys.has(extension_settings[PLUGIN_NAME].encryption.keyId);
+}
 
-    logDebug(`准备备份聊天: ${entityName} - ${chatName}, 消息数: ${chat.length}, 最后消息ID: ${lastMsgIndex}`);
+// 立即保存设置 (密钥环必须在任何记录用新密钥加密之前落盘)
+async function saveEncryptionSettings() {
+    await saveSettings();
+    logDebug('加密密钥环已保存', Object.keys(extension_settings[PLUGIN_NAME].encryption?.keys || {}));
+}
+
+// 由密码和盐派生 AES-GCM 密钥
+async function deriveEncryptionKey(passphrase, salt, iterations = ENCRYPTION_ITERATIONS) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt'],
+    );
+}
+
+async function encryptBytes(key, bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+    return { iv, data };
+}
 
+async function decryptBytes(key, iv, data) {
     try {
-        // 2. 使用 Worker 进行深拷贝 (或者主线程回退，如果Worker失败)
-        let copiedChat, copiedMetadata;
-        if (backupWorker) {
-            try {
-                console.time('[聊天自动备份] Web Worker 深拷贝时间');
-                logDebug('请求 Worker 执行深拷贝...');
-                const result = await performDeepCopyInWorker(chat, chat_metadata);
-                copiedChat = result.chat;
-                copiedMetadata = result.metadata;
-                console.timeEnd('[聊天自动备份] Web Worker 深拷贝时间');
-                logDebug('从 Worker 收到拷贝后的数据');
-            } catch(workerError) {
-                 console.error('[聊天自动备份] Worker 深拷贝失败，将尝试在主线程执行:', workerError);
-                 // Worker失败，尝试主线程回退（如果需要）
-                 console.time('[聊天自动备份] 主线程深拷贝时间 (Worker失败后)');
-                 try {
-                     copiedChat = structuredClone(chat);
-                     copiedMetadata = structuredClone(chat_metadata);
+        return await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+    } catch (error) {
+        // AES-GCM 认证失败 (OperationError) 说明密钥不对或数据被篡改
+        throw new Error('解密失败：密码错误或备份数据已损坏');
+    }
+}
+
+// 为新密码生成密钥环条目 (盐、验证块)，返回 { keyId, entry, key }
+async function createEncryptionKeyEntry(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveEncryptionKey(passphrase, salt);
+    const verifier = await encryptBytes(key, new TextEncoder().encode(ENCRYPTION_VERIFIER_TEXT));
+    const keyId = bytesToBase64(crypto.getRandomValues(new Uint8Array(8)));
+    const entry = {
+        salt: bytesToBase64(salt),
+        iterations: ENCRYPTION_ITERATIONS,
+        verifierIv: bytesToBase64(verifier.iv),
+        verifier: bytesToBase64(verifier.data),
+    };
+    return { keyId, entry, key: { keyId, key } };
+}
+
+// 用密码派生密钥环中指定条目的密钥并校验，密码错误时抛出错误
+async function deriveKeyringKey(passphrase, keyId) {
+    const entry = extension_settings[PLUGIN_NAME].encryption?.keys?.[keyId];
+    if (!entry) {
+        throw new Error('密钥环中没有此密钥');
+    }
+    const key = await deriveEncryptionKey(passphrase, base64ToBytes(entry.salt), entry.iterations);
+    try {
+        const plain = await decryptBytes(key, base64ToBytes(entry.verifierIv), base64ToBytes(entry.verifier));
+        if (new TextDecoder().decode(plain) !== ENCRYPTION_VERIFIER_TEXT) {
+            throw new Error();
+        }
+    } catch {
+        throw new Error('密码错误');
+    }
+    return { keyId, key };
+}
+
+// 用密码派生当前密钥并校验，密码错误时抛出错误
+async function deriveConfiguredKey(passphrase) {
+    return deriveKeyringKey(passphrase, extension_settings[PLUGIN_NAME].encryption.keyId);
+}
+
+// 获取解密指定密钥 ID 所需的密钥: 当前密钥未解锁时请求当前密码，旧密钥未解锁时请求之前的密码
+async function getDecryptionKey(keyId) {
+    if (unlockedKeys.has(keyId)) {
+        return unlockedKeys.get(keyId);
+    }
+    const config = extension_settings[PLUGIN_NAME].encryption;
+    if (!config?.keys?.[keyId]) {
+        throw new Error('此备份使用的密码已不在密钥环中，无法解密');
+    }
+    if (keyId === config.keyId) {
+        return requireEncryptionKey();
+    }
+    if (dismissedKeyringKeys.has(keyId)) {
+        throw new Error('此备份使用之前的密码加密，需要输入之前的密码才能读取');
+    }
+    if (!keyringUnlockPromises.has(keyId)) {
+        keyringUnlockPromises.set(keyId, (async () => {
+            let message = '此备份仍使用之前的密码加密 (上次修改密码时未能全部重新加密)，请输入之前的密码：';
+            while (true) {
+                const passphrase = await promptPassphrase(message);
+                if (passphrase === null) {
+                    dismissedKeyringKeys.add(keyId);
+                    throw new Error('此备份使用之前的密码加密，需要输入之前的密码才能读取');
+                }
+                try {
+                    const key = await deriveKeyringKey(passphrase, keyId);
+                    unlockedKeys.set(keyId, key);
+                    return key;
+                } catch (error) {
+                    message = `${error.message}，请重新输入之前的密码：`;
+                }
+            }
+        })().finally(() => {
+            keyringUnlockPromises.delete(keyId);
+        }));
+    }
+    return keyringUnlockPromises.get(keyId);
+}
+
+// 收集所有摘要、负载和共享记录使用的密钥 ID
+async function getUsedEncryptionKeyIds() {
+    const db = await getDB();
+    const storeNames = [SUMMARY_STORE_NAME, PAYLOAD_STORE_NAME, MESSAGE_STORE_NAME, ENTITY_STORE_NAME].filter(name => db.objectStoreNames.contains(name));
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, 'readonly');
+        const keyIds = new Set();
+
+        transaction.oncomplete = () => resolve(keyIds);
+        transaction.onerror = (event) => {
+            console.error('[聊天自动备份] 统计使用中的密钥事务失败:', event.target.error);
+            reject(event.target.error);
+        };
+
+        storeNames.forEach(storeName => {
+            transaction.objectStore(storeName).openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    const keyId = cursor.value.encryption?.keyId ?? cursor.value.sealed?.keyId;
+                    if (keyId) {
+                        keyIds.add(keyId);
+                    }
+                    cursor.continue();
+                }
+            };
+        });
+    });
+}
+
+// 从密钥环中移除没有记录再使用的旧密钥 (当前密钥始终保留)，返回仍在使用的旧密钥数量
+async function pruneEncryptionKeyring() {
+    const config = extension_settings[PLUGIN_NAME].encryption;
+    if (!config) {
+        return 0;
+    }
+    const usedKeyIds = await getUsedEncryptionKeyIds();
+    let removed = false;
+    for (const keyId of Object.keys(config.keys)) {
+        if (keyId !== config.keyId && !usedKeyIds.has(keyId)) {
+            delete config.keys[keyId];
+            unlockedKeys.delete(keyId);
+            removed = true;
+            logDebug(`旧密钥 ${keyId} 已没有备份使用，已从密钥环中移除`);
+        }
+    }
+    if (removed) {
+        await saveEncryptionSettings();
+    }
+    return Object.keys(config.keys).length - 1;
+}
+
+// 弹窗输入密码 (单行密码框)，取消时返回 null
+async function promptPassphrase(message, { confirmInput = false } = {}) {
+    const $form = $(`
+        <div class="backup_passphrase_form">
+            <p>${message}</p>
+            <input type="password" class="text_pole backup_passphrase" autocomplete="new-password" placeholder="密码">
+            ${confirmInput ? '<input type="password" class="text_pole backup_passphrase_confirm" autocomplete="new-password" placeholder="再次输入密码">' : ''}
+        </div>
+    `);
+    const confirmed = await callGenericPopup($form, POPUP_TYPE.CONFIRM, '', { okButton: '确定', cancelButton: '取消' });
+    if (!confirmed) {
+        return null;
+    }
+    const passphrase = String($form.find('.backup_passphrase').val() || '');
+    if (!passphrase) {
+        toastr.warning('密码不能为空', '聊天自动备份');
+        return null;
+    }
+    if (confirmInput && passphrase !== $form.find('.backup_passphrase_confirm').val()) {
+        toastr.warning('两次输入的密码不一致', '聊天自动备份');
+        return null;
+    }
+    return passphrase;
+}
+
+// 弹窗解锁加密，返回是否已解锁
+// quiet: 用于自动备份，用户取消过一次后不再弹窗
+async function unlockEncryption({ quiet = false } = {}) {
+    if (!isEncryptionLocked()) {
+        return true;
+    }
+    if (quiet && encryptionUnlockDismissed) {
+        return false;
+    }
+    if (!encryptionUnlockPromise) {
+        encryptionUnlockPromise = (async () => {
+            let message = '备份已加密，请输入密码解锁：';
+            while (true) {
+                const passphrase = await promptPassphrase(message);
+                if (passphrase === null) {
+                    encryptionUnlockDismissed = true;
+                    toastr.warning('备份已加密但未解锁，自动备份已暂停，可在设置中解锁', '聊天自动备份');
+                    return false;
+                }
+                try {
+                    const key = await deriveConfiguredKey(passphrase);
+                    unlockedKeys.set(key.keyId, key);
+                    encryptionUnlockDismissed = false;
+                    dismissedKeyringKeys.clear();
+                    updateEncryptionUI();
+                    updateBackupsList(); // 显示加密的名称、备注和预览
+                    toastr.success('备份加密已解锁', '聊天自动备份');
+                    return true;
+                } catch (error) {
+                    message = `${error.message}，请重新输入：`;
+                }
+            }
+        })().finally(() => {
+            encryptionUnlockPromise = null;
+        });
+    }
+    return encryptionUnlockPromise;
+}
+
+// 获取当前可用的密钥，未解锁时弹窗请求密码
+async function requireEncryptionKey() {
+    if (isEncryptionLocked() && !(await unlockEncryption())) {
+        throw new Error('备份已加密，需要输入密码才能继续');
+    }
+    return unlockedKeys.get(extension_settings[PLUGIN_NAME].encryption.keyId);
+}
+
+// 将所有备份负载用 newKey 重新编码 (为 null 时解密为明文)，加密的负载按其密钥 ID 从密钥环中取密钥解密
+// 单个备份失败不会中断整体流程，返回失败的数量
+async function reencryptAllBackups(oldKey, newKey) {
+    let failedCount = 0;
+    const keys = await getAllBackupKeys();
+    for (const [chatKey, timestamp] of keys) {
+        try {
+            const record = await getBackupRecord(chatKey, timestamp);
+            if (!record) {
+                continue;
+            }
+            const body = await decodePayload(record.payload, oldKey);
+            const { record: payload, storedSize } = await encodePayload({ chatKey, timestamp, ...body }, newKey);
+            if (record.payload.messageRefs) {
+                payload.messageRefs = record.payload.messageRefs;
+            }
+            if (record.payload.entityRef) {
+                payload.entityRef = record.payload.entityRef;
+            }
+            const opened = await openSummary(record.summary, { required: true });
+            const summary = await sealSummaryForPayload({ ...opened, storedSize }, payload, newKey);
+            await putBackupRecord(summary, payload);
+        } catch (error) {
+            failedCount++;
+            console.error(`[聊天自动备份] 重新加密备份 [${chatKey}, ${timestamp}] 失败:`, error);
+        }
+    }
+    failedCount += await reencryptSharedStore(MESSAGE_STORE_NAME, oldKey, newKey);
+    failedCount += await reencryptSharedStore(ENTITY_STORE_NAME, oldKey, newKey);
+
+    // 解密后恢复列表预览 (加密时不保存明文预览)
+    if (!newKey) {
+        lastSnapshotCache = null;
+        for (const summary of await getAllBackupSummaries()) {
+            if (summary.encrypted || summary.lastMessagePreview) {
+                continue;
+            }
+            try {
+                const { chat } = await loadBackupSnapshot(summary.chatKey, summary.timestamp);
+                await updateBackupSummary(summary.chatKey, summary.timestamp, {
+                    lastMessagePreview: chat[chat.length - 1]?.mes?.substring(0, 100) || '(空消息)',
+                });
+            } catch (error) {
+                console.error(`[聊天自动备份] 恢复备份预览 [${summary.chatKey}, ${summary.timestamp}] 失败:`, error);
+            }
+        }
+    }
+    return failedCount;
+}
+
+// 在备份锁内执行批量重新加密
+async function runEncryptionChange(task) {
+    if (isBackupInProgress) {
+        toastr.warning('备份正在进行中，请稍后再试', '聊天自动备份');
+        return false;
+    }
+    isBackupInProgress = true;
+    const notice = toastr.info('正在重新加密备份，请勿关闭页面...', '聊天自动备份', { timeOut: 0, extendedTimeOut: 0 });
+    try {
+        await task();
+        return true;
+    } catch (error) {
+        console.error('[聊天自动备份] 更改加密设置失败:', error);
+        toastr.error(`更改加密设置失败: ${error.message}`, '聊天自动备份');
+        return false;
+    } finally {
+        toastr.clear(notice);
+        isBackupInProgress = false;
+        processPendingBackups();
+        updateEncryptionUI();
+        await updateBackupsList();
+    }
+}
+
+// 启用加密: 设置密码并加密已有的备份
+async function enableEncryption() {
+    const passphrase = await promptPassphrase('设置用于加密备份的密码。<b>密码丢失后加密的备份将无法恢复。</b>', { confirmInput: true });
+    if (passphrase === null) {
+        return;
+    }
+    await runEncryptionChange(async () => {
+        const { keyId, entry, key } = await createEncryptionKeyEntry(passphrase);
+        // 先保存密钥环再加密任何记录，避免中断后出现盐未保存的密文
+        extension_settings[PLUGIN_NAME].encryption = { keyId, keys: { [keyId]: entry } };
+        try {
+            await saveEncryptionSettings();
+        } catch (error) {
+            extension_settings[PLUGIN_NAME].encryption = null;
+            throw error;
+        }
+        unlockedKeys.set(keyId, key);
+        const failedCount = await reencryptAllBackups(null, key);
+        toastr.success(`备份加密已启用${failedCount ? `，${failedCount} 个备份处理失败，仍为原状态` : ''}`, '聊天自动备份');
+    });
+}
+
+// 修改密码: 用新密码重新加密所有备份
+async function changeEncryptionPassphrase() {
+    const oldPassphrase = await promptPassphrase('请输入当前密码：');
+    if (oldPassphrase === null) {
+        return;
+    }
+    let oldKey;
+    try {
+        oldKey = await deriveConfiguredKey(oldPassphrase);
+    } catch (error) {
+        toastr.error(error.message, '聊天自动备份');
+        return;
+    }
+    const newPassphrase = await promptPassphrase('请输入新密码：', { confirmInput: true });
+    if (newPassphrase === null) {
+        return;
+    }
+    await runEncryptionChange(async () => {
+        const config = extension_settings[PLUGIN_NAME].encryption;
+        const { keyId, entry, key } = await createEncryptionKeyEntry(newPassphrase);
+        // 新密钥加入密钥环并立即保存，旧密钥保留到没有记录使用为止
+        const previousKeyId = config.keyId;
+        config.keys[keyId] = entry;
+        config.keyId = keyId;
+        try {
+            await saveEncryptionSettings();
+        } catch (error) {
+            config.keyId = previousKeyId;
+            delete config.keys[keyId];
+            throw error;
+        }
+        unlockedKeys.set(oldKey.keyId, oldKey);
+        unlockedKeys.set(keyId, key);
+        const failedCount = await reencryptAllBackups(oldKey, key);
+        const remainingKeys = await pruneEncryptionKeyring();
+        toastr.success(`密码已修改${failedCount ? `，${failedCount} 个备份处理失败，仍使用旧密码加密 (读取时需要输入旧密码)` : ''}`, '聊天自动备份');
+        logDebug(`密码修改完成，密钥环中还有 ${remainingKeys} 个旧密钥`);
+    });
+}
+
+// 关闭加密: 将所有备份解密为明文
+async function disableEncryption() {
+    const passphrase = await promptPassphrase('关闭加密会将所有备份解密保存。请输入当前密码：');
+    if (passphrase === null) {
+        return;
+    }
+    let oldKey;
+    try {
+        oldKey = await deriveConfiguredKey(passphrase);
+    } catch (error) {
+        toastr.error(error.message, '聊天自动备份');
+        return;
+    }
+    await runEncryptionChange(async () => {
+        unlockedKeys.set(oldKey.keyId, oldKey);
+        const failedCount = await reencryptAllBackups(oldKey, null);
+        if (failedCount > 0) {
+            // 保留加密设置，否则剩余的加密备份将无法再解密
+            await pruneEncryptionKeyring();
+            toastr.warning(`${failedCount} 个备份解密失败，加密仍保持启用`, '聊天自动备份');
+            return;
+        }
+        extension_settings[PLUGIN_NAME].encryption = null;
+        unlockedKeys.clear();
+        await saveEncryptionSettings();
+        toastr.success('备份加密已关闭', '聊天自动备份');
+    });
+}
+
+// 锁定: 从内存中清除密钥
+function lockEncryption() {
+    unlockedKeys.clear();
+    dismissedKeyringKeys.clear();
+    lastSnapshotCache = null;
+    updateEncryptionUI();
+    updateBackupsList(); // 隐藏已解密的名称、备注和预览
+    toastr.info('备份加密已锁定', '聊天自动备份');
+}
+
+// 同步加密状态到设置界面
+function updateEncryptionUI() {
+    const enabled = isEncryptionEnabled();
+    const locked = isEncryptionLocked();
+    $('#chat_backup_encryption_status').text(enabled ? (locked ? '已启用 (未解锁)' : '已启用 (已解锁)') : '未启用');
+    $('#chat_backup_encryption_enable').toggle(!enabled).prop('disabled', !globalThis.crypto?.subtle);
+    $('#chat_backup_encryption_unlock').toggle(enabled && locked);
+    $('#chat_backup_encryption_lock').toggle(enabled && !locked);
+    $('#chat_backup_encryption_change, #chat_backup_encryption_disable').toggle(enabled);
+}
+
+// --- 摘要加密 ---
+// 启用加密时，摘要中用户填写的名称、备注、标签，以及最后一条消息的预览和内容校验和
+// (明文内容的 SHA-256，可用来验证猜测的聊天内容) 与负载使用同一密钥加密，保存在摘要的 sealed 字段中。
+// 仍以明文保存的摘要字段: chatKey、角色/群组和聊天的 ID 与名称、备份时间、消息数、原始/存储大小、
+// 存储方式与增量基础、触发来源与触发操作、固定/受保护状态。未解锁时列表、清理和保留策略依赖这些字段。
+const SEALED_SUMMARY_FIELDS = ['label', 'note', 'tags', 'lastMessagePreview', 'checksum'];
+
+// 用 key 加密摘要中的敏感字段，key 为 null 时返回明文摘要；传入的摘要必须已解密
+async function sealSummary(summary, key) {
+    if (summary.sealed) {
+        throw new Error('摘要尚未解密，无法重新加密');
+    }
+    if (!key) {
+        return summary;
+    }
+    const plain = { ...summary };
+    const fields = {};
+    SEALED_SUMMARY_FIELDS.forEach(field => {
+        if (plain[field] !== undefined) {
+            fields[field] = plain[field];
+        }
+        delete plain[field];
+    });
+    const { iv, data } = await encryptBytes(key.key, new TextEncoder().encode(JSON.stringify(fields)));
+    return { ...plain, lastMessagePreview: '', sealed: { algorithm: 'AES-GCM', keyId: key.keyId, iv, data } };
+}
+
+// 按负载是否加密设置摘要的 encrypted 标记，负载已加密时用同一密钥加密摘要
+// key: 优先使用的密钥，与负载的密钥 ID 不符或省略时从密钥环中选择
+async function sealSummaryForPayload(summary, payload, key = undefined) {
+    const encrypted = !!payload.encryption;
+    if (!encrypted || summary.sealed) {
+        // 已加密的摘要保持原样，它使用的密钥 ID 记录在 sealed 中
+        return { ...summary, encrypted };
+    }
+    const sealWith = key?.keyId === payload.encryption.keyId ? key : await getDecryptionKey(payload.encryption.keyId);
+    return sealSummary({ ...summary, encrypted }, sealWith);
+}
+
+// 解密摘要中加密的字段并合并到摘要
+// required 为 false 时只使用已解锁的密钥，无法解密时原样返回 (仍带有 sealed)；为 true 时未解锁会请求密码
+async function openSummary(summary, { required = false } = {}) {
+    if (!summary?.sealed) {
+        return summary;
+    }
+    const { sealed, ...plain } = summary;
+    const key = unlockedKeys.get(sealed.keyId) ?? (required ? await getDecryptionKey(sealed.keyId) : null);
+    if (!key) {
+        return summary;
+    }
+    const fields = JSON.parse(new TextDecoder().decode(await decryptBytes(key.key, sealed.iv, sealed.data)));
+    return { ...plain, ...fields };
+}
+
+// 批量解密摘要 (只使用已解锁的密钥)，单个摘要解密失败时保留原样
+async function openSummaries(summaries) {
+    return Promise.all(summaries.map(summary => openSummary(summary).catch(error => {
+        console.error(`[聊天自动备份] 解密备份摘要 [${summary.chatKey}, ${summary.timestamp}] 失败:`, error);
+        return summary;
+    })));
+}
+
+// --- 负载编码 (压缩、加密) ---
+// 将负载主体压缩 (并在启用加密时加密) 后包装为带格式标记的存储记录
+// key: 加密使用的密钥 { keyId, key }，为 null 时保存明文，省略时按当前设置决定
+// 返回 { record, storedSize }，storedSize 为实际存储的字节数
+async function encodePayload(payload, key = undefined) {
+    const { chatKey, timestamp, ...body } = payload;
+    const settings = extension_settings[PLUGIN_NAME];
+    const encoding = settings?.compression ?? DEFAULT_SETTINGS.compression;
+    const encryptWith = key === undefined ? (isEncryptionEnabled() ? await requireEncryptionKey() : null) : key;
+
+    if (encoding === 'none' || typeof CompressionStream === 'undefined') {
+        if (encryptWith) {
+            return encryptPayloadRecord(chatKey, timestamp, 'none', new TextEncoder().encode(JSON.stringify(body)), encryptWith);
+        }
+        return {
+            record: { chatKey, timestamp, format: PAYLOAD_FORMAT_VERSION, encoding: 'none', data: body },
+            storedSize: calculateByteSize(body),
+        };
+    }
+
+    let buffer;
+    if (backupWorker) {
+        try {
+            ({ buffer } = await runWorkerTask('compress', { data: body, format: encoding }));
+        } catch (workerError) {
+            console.error('[聊天自动备份] Worker 压缩失败，将在主线程执行:', workerError);
+        }
+    }
+    if (!buffer) {
+        ({ buffer } = await compressJson(body, encoding));
+    }
+
+    if (encryptWith) {
+        return encryptPayloadRecord(chatKey, timestamp, encoding, buffer, encryptWith);
+    }
+    return {
+        record: { chatKey, timestamp, format: PAYLOAD_FORMAT_VERSION, encoding, data: buffer },
+        storedSize: buffer.byteLength,
+    };
+}
+
+// 加密编码后的字节 (encoding 为 'none' 时是 JSON 文本)
+async function encryptPayloadRecord(chatKey, timestamp, encoding, bytes, key) {
+    const { iv, data } = await encryptBytes(key.key, bytes);
+    return {
+        record: { chatKey, timestamp, format: PAYLOAD_FORMAT_VERSION, encoding, encryption: { algorithm: 'AES-GCM', keyId: key.keyId, iv }, data },
+        storedSize: data.byteLength,
+    };
+}
+
+// 将存储记录解码为负载主体 ({ chat, metadata } 或 { delta })，兼容未压缩的旧格式记录
+// key: 优先尝试的密钥，与记录的密钥 ID 不符或省略时从密钥环中选择 (未解锁时弹窗请求密码)
+async function decodePayload(record, key = undefined) {
+    if (!record.format) {
+        // 旧格式: 主体字段直接存放在记录上
+        const { chatKey, timestamp, ...body } = record;
+        return body;
+    }
+    if (record.format > PAYLOAD_FORMAT_VERSION) {
+        throw new Error(`不支持的备份格式版本 ${record.format}，请更新插件`);
+    }
+
+    let data = record.data;
+    if (record.encryption) {
+        // 按记录的密钥 ID 从密钥环中选择密钥 (修改密码中断后可能仍有使用旧密钥的记录)
+        const decryptWith = key?.keyId === record.encryption.keyId ? key : await getDecryptionKey(record.encryption.keyId);
+        data = await decryptBytes(decryptWith.key, record.encryption.iv, record.data);
+        if (record.encoding === 'none') {
+            return JSON.parse(new TextDecoder().decode(data));
+        }
+    } else if (record.encoding === 'none') {
+        return data;
+    }
+
+    if (backupWorker) {
+        try {
+            // 复制一份再转移，避免原记录的 ArrayBuffer 被分离
+            const buffer = data.slice(0);
+            return await runWorkerTask('decompress', { buffer, format: record.encoding }, [buffer]);
+        } catch (workerError) {
+            console.error('[聊天自动备份] Worker 解压失败，将在主线程执行:', workerError);
+        }
+    }
+    return decompressJson(data, record.encoding);
+}
+
+// --- 备份保留策略 ---
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// 清理原因的显示名称
+const PRUNE_REASON = {
+    EXPIRED: '超过最长保留天数',
+    THINNED: '分级精简',
+    CHAT_LIMIT: '超出单个聊天上限',
+    TOTAL_LIMIT: '超出系统最大备份数',
+    STORAGE_LIMIT: '超出存储预算',
+};
+
+// 备份自身的负载在数据库中占用的字节数 (旧记录没有 storedSize 时使用原始大小)
+// 共享存储方式的备份不含共享记录，它们的占用见 getSharedStoreUsage
+function getBackupStoredSize(summary) {
+    return summary.storedSize ?? summary.byteSize ?? 0;
+}
+
+// 备份所在的分级精简时间桶 (同一桶内只保留最新的一个，返回 null 表示全部保留)
+// 分级: 最近 N 分钟全部保留 → N 小时内每小时一个 → N 天内每天一个 → 更早的每周一个
+function getRetentionBucket(timestamp, now, settings) {
+    const age = now - timestamp;
+    if (age <= settings.thinKeepAllMinutes * 60 * 1000) {
+        return null;
+    }
+    // 按本地时间划分小时/天/周
+    const localTime = timestamp - new Date(timestamp).getTimezoneOffset() * 60 * 1000;
+    if (age <= settings.thinHourlyHours * HOUR_MS) {
+        return `h${Math.floor(localTime / HOUR_MS)}`;
+    }
+    if (age <= settings.thinDailyDays * DAY_MS) {
+        return `d${Math.floor(localTime / DAY_MS)}`;
+    }
+    return `w${Math.floor(localTime / DAY_MS / 7)}`;
+}
+
+// 计算下一次清理会删除哪些备份 (不修改数据库)
+// 受保护和固定的备份不参与清理和计数；每个聊天最新的 minBackupsPerChat 个备份总是保留
+// sharedUsage: 共享存储的实际占用 (getSharedStoreUsage)，用于存储预算
+// 返回 [{ summary, reason }]，按时间从旧到新排列
+function planBackupPrune(summaries, settings, now = Date.now(), sharedUsage = 0) {
+    const byChat = new Map();
+    summaries.filter(summary => !summary.protected && !summary.pinned).forEach(summary => {
+        if (!byChat.has(summary.chatKey)) {
+            byChat.set(summary.chatKey, []);
+        }
+        byChat.get(summary.chatKey).push(summary);
+    });
+
+    const toDelete = [];
+    const survivors = []; // 可被系统上限清理的剩余备份 (不含每个聊天的保底备份)
+    let guaranteedCount = 0;
+
+    for (const chatSummaries of byChat.values()) {
+        chatSummaries.sort((a, b) => b.timestamp - a.timestamp); // 新 → 旧
+        const guaranteed = chatSummaries.slice(0, settings.minBackupsPerChat);
+        guaranteedCount += guaranteed.length;
+
+        // 保底备份也占用所在的时间桶
+        const usedBuckets = new Set();
+        if (settings.retentionThinning) {
+            guaranteed.forEach(summary => usedBuckets.add(getRetentionBucket(summary.timestamp, now, settings)));
+        }
+
+        const remaining = [];
+        chatSummaries.slice(settings.minBackupsPerChat).forEach(summary => {
+            if (settings.maxBackupAgeDays > 0 && now - summary.timestamp > settings.maxBackupAgeDays * DAY_MS) {
+                toDelete.push({ summary, reason: PRUNE_REASON.EXPIRED });
+                return;
+            }
+            if (settings.retentionThinning) {
+                const bucket = getRetentionBucket(summary.timestamp, now, settings);
+                if (bucket !== null && usedBuckets.has(bucket)) {
+                    toDelete.push({ summary, reason: PRUNE_REASON.THINNED });
+                    return;
+                }
+                usedBuckets.add(bucket);
+            }
+            remaining.push(summary);
+        });
+
+        const chatLimit = settings.perChatBackupLimit > 0 ? Math.max(0, settings.perChatBackupLimit - guaranteed.length) : Infinity;
+        remaining.slice(chatLimit).forEach(summary => toDelete.push({ summary, reason: PRUNE_REASON.CHAT_LIMIT }));
+        survivors.push(...remaining.slice(0, chatLimit));
+    }
+
+    // 系统上限: 从所有聊天中最旧的非保底备份开始删除
+    const overflow = survivors.length + guaranteedCount - settings.maxTotalBackups;
+    if (overflow > 0) {
+        survivors.sort((a, b) => a.timestamp - b.timestamp)
+            .slice(0, overflow)
+            .forEach(summary => toDelete.push({ summary, reason: PRUNE_REASON.TOTAL_LIMIT }));
+    }
+
+    // 存储预算: 统计全部备份 (含受保护和固定的) 的负载和共享存储的占用，从最旧的非保底备份开始删除
+    // 共享记录要等引用它的备份全部删除后才释放，这里按原始大小比例估算每个共享备份可释放的部分；
+    // 实际清理时 pruneBackups 每删除一个备份都重新统计占用，回到预算以内即停止
+    if (settings.storageBudgetMB > 0) {
+        const budget = settings.storageBudgetMB * 1024 * 1024;
+        const deleting = new Set(toDelete.map(({ summary }) => summary));
+        const sharedRawTotal = summaries.filter(summary => summary.storageType === 'shared').reduce((total, summary) => total + (summary.byteSize || 0), 0);
+        const estimateFreed = (summary) => getBackupStoredSize(summary)
+            + (summary.storageType === 'shared' && sharedRawTotal > 0 ? sharedUsage * (summary.byteSize || 0) / sharedRawTotal : 0);
+        let used = summaries.reduce((total, summary) => total + getBackupStoredSize(summary), sharedUsage);
+        deleting.forEach(summary => { used -= estimateFreed(summary); });
+        for (const summary of survivors.filter(item => !deleting.has(item)).sort((a, b) => a.timestamp - b.timestamp)) {
+            if (used <= budget) {
+                break;
+            }
+            toDelete.push({ summary, reason: PRUNE_REASON.STORAGE_LIMIT });
+            used -= estimateFreed(summary);
+        }
+    }
+
+    return toDelete.sort((a, b) => a.summary.timestamp - b.summary.timestamp);
+}
+
+// 按保留策略清理备份，返回删除的条目
+async function pruneBackups(settings) {
+    const budget = settings.storageBudgetMB > 0 ? settings.storageBudgetMB * 1024 * 1024 : 0;
+    const plan = planBackupPrune(await getAllBackupSummaries(), settings, Date.now(), budget ? await getSharedStoreUsage() : 0);
+    if (plan.length === 0) {
+        logDebug('没有需要清理的备份');
+        return plan;
+    }
+
+    logDebug(`准备清理 ${plan.length} 个备份`);
+    const deleted = [];
+    const deleteEntry = async ({ summary, reason }) => {
+        logDebug(`清理备份 (${reason}): chatKey=${summary.chatKey}, timestamp=${new Date(summary.timestamp).toLocaleString()}`);
+        await deleteBackup(summary.chatKey, summary.timestamp);
+        deleted.push({ summary, reason });
+    };
+    // 逐个删除 (不能并行: 删除基础快照时需要改写依赖它的增量备份)
+    // 先执行其他规则，再按实际占用执行存储预算 (计划中的释放量只是估算)
+    for (const entry of plan.filter(({ reason }) => reason !== PRUNE_REASON.STORAGE_LIMIT)) {
+        await deleteEntry(entry);
+    }
+    for (const entry of plan.filter(({ reason }) => reason === PRUNE_REASON.STORAGE_LIMIT)) {
+        const used = await getBackupStorageUsage();
+        if (used <= budget) {
+            logDebug(`备份占用 ${formatBytes(used)} 已回到存储预算以内，停止清理`);
+            break;
+        }
+        await deleteEntry(entry);
+    }
+    logDebug(`${deleted.length} 个旧备份已删除`);
+    return deleted;
+}
+
+// 预览下一次清理会删除的备份，并可立即执行清理
+async function previewBackupPrune() {
+    const settings = extension_settings[PLUGIN_NAME];
+    const plan = planBackupPrune(await getAllBackupSummaries(), settings, Date.now(), await getSharedStoreUsage());
+    if (plan.length === 0) {
+        await callGenericPopup('<p>按当前的保留策略，下一次清理不会删除任何备份。</p>', POPUP_TYPE.TEXT);
+        return;
+    }
+
+    const rows = plan.map(({ summary, reason }) => {
+        const date = new Date(summary.timestamp).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'medium' });
+        return `<tr><td>${escapeHtml(summary.entityName || '未知实体')} - ${escapeHtml(summary.chatName || '未知聊天')}</td><td>${date}</td><td>${reason}</td></tr>`;
+    });
+    const confirmed = await callGenericPopup(
+        `<div class="backup_prune_preview">
+            <p>按当前的保留策略，下一次清理将删除以下 ${plan.length} 个备份 (受保护和固定的备份不受影响)：</p>
+            <table>
+                <thead><tr><th>聊天</th><th>备份时间</th><th>原因</th></tr></thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        </div>`,
+        POPUP_TYPE.CONFIRM,
+        '',
+        { okButton: '立即清理', cancelButton: '关闭', wide: true, allowVerticalScrolling: true },
+    );
+    if (!confirmed) {
+        return;
+    }
+
+    if (isBackupInProgress) {
+        toastr.warning('备份正在进行中，请稍后再试', '聊天自动备份');
+        return;
+    }
+    isBackupInProgress = true;
+    try {
+        const deleted = await pruneBackups(settings);
+        toastr.success(`已清理 ${deleted.length} 个备份`, '聊天自动备份');
+    } finally {
+        isBackupInProgress = false;
+        processPendingBackups();
+    }
+    await updateBackupsList();
+}
+
+// --- 备份去重 ---
+// 将新备份与该聊天最新的备份按内容比较，返回 { action, latest }:
+// 'skip':    聊天和元数据完全相同，无需保存
+// 'replace': 只有最后一条消息变化，且旧内容仍保留在新消息中 (流式输出继续、切换或新增滑动)，新备份替换最新备份
+// 'keep':    其他情况都保留旧备份，包括修改更早的消息、删除后重新生成最后一条消息，或无法读取旧备份
+async function compareWithLatestBackup(backup, existingBackups) {
+    if (existingBackups.length === 0) {
+        return { action: 'keep', latest: null };
+    }
+    const latest = existingBackups.reduce((a, b) => (a.timestamp > b.timestamp ? a : b));
+    if (backup.checksum && latest.checksum) {
+        if (backup.checksum === latest.checksum) {
+            return { action: 'skip', latest };
+        }
+        // 校验和不同时，受保护、固定或带名称的备份不会被替换
+        if (latest.protected || latest.pinned || latest.label || latest.messageCount !== backup.messageCount) {
+            return { action: 'keep', latest };
+        }
+    } else if (latest.messageCount !== backup.messageCount) {
+        return { action: 'keep', latest };
+    }
+
+    let previous;
+    try {
+        previous = await loadBackupSnapshot(latest.chatKey, latest.timestamp);
+    } catch (error) {
+        console.warn('[聊天自动备份] 读取最新备份以比较内容失败，将保留旧备份:', error);
+        return { action: 'keep', latest };
+    }
+
+    const previousSerialized = serializeMessages(previous.chat);
+    const currentSerialized = serializeMessages(backup.chat);
+    const lastIndex = currentSerialized.length - 1;
+    if (previousSerialized.length !== currentSerialized.length) {
+        return { action: 'keep', latest };
+    }
+    // 没有校验和的旧备份: 逐条比较内容
+    if (!(backup.checksum && latest.checksum)
+        && previousSerialized.every((message, index) => message === currentSerialized[index])
+        && JSON.stringify(previous.metadata || {}) === JSON.stringify(backup.metadata || {})) {
+        return { action: 'skip', latest };
+    }
+    // 无法解密的摘要 (使用之前的密码加密) 不知道是否带名称，同样保留
+    if (latest.protected || latest.pinned || latest.label || latest.sealed) {
+        return { action: 'keep', latest };
+    }
+    for (let i = 0; i < lastIndex; i++) {
+        if (previousSerialized[i] !== currentSerialized[i]) {
+            logDebug(`第 ${i} 条消息已修改，保留最新备份 ${latest.timestamp}`);
+            return { action: 'keep', latest };
+        }
+    }
+
+    const previousText = String(previous.chat[lastIndex]?.mes ?? '');
+    const currentMessage = backup.chat[lastIndex];
+    const retained = String(currentMessage?.mes ?? '').startsWith(previousText)
+        || (Array.isArray(currentMessage?.swipes) && currentMessage.swipes.includes(previousText));
+    return { action: retained ? 'replace' : 'keep', latest };
+}
+
+// --- 核心备份逻辑 (接收 settings 作为参数) ---
+// options.trigger:   备份触发来源 (记录在备份中)，如 'auto'、'manual'、'pre-restore'
+// options.force:     跳过重复检查，总是保存新备份
+// options.protected: 受保护的备份不会被自动清理，也不计入最大备份数
+// options.label:     备份名称 (带名称的备份不会被新备份替换)
+// options.pinned:    固定的备份不会被自动清理，也不计入最大备份数
+// options.triggerEvent: 触发备份的具体事件 (如删除前快照对应的删除操作)
+// options.snapshot:  事先捕获的聊天状态 { identity, chatKey, entityName, chatName, chat, metadata, entity }，省略时备份当前聊天
+// 保存成功时返回新备份的 { chatKey, timestamp }，未保存或失败时返回 false
+async function executeBackupLogic(settings, options = {}) {
+    const { trigger = 'auto', force = false, label = '', triggerEvent = '', snapshot = null } = options;
+    const isPinned = !!options.pinned;
+    const isProtected = !!options.protected;
+    const currentTimestamp = Date.now();
+    logDebug(`开始执行核心备份逻辑 @ ${new Date(currentTimestamp).toLocaleTimeString()}`);
+
+    // 1. 前置检查
+    if (isEncryptionLocked() && !(await unlockEncryption({ quiet: true }))) {
+        logDebug('备份加密未解锁，跳过备份');
+        return false;
+    }
+    const identity = snapshot ? snapshot.identity : getCurrentChatIdentity();
+    const chatKey = snapshot ? snapshot.chatKey : getCurrentChatKey();
+    if (!chatKey || !identity) {
+        console.warn('[聊天自动备份] 无有效的聊天标识符，取消备份');
+        return false; // 返回 false 表示备份未执行
+    }
+
+    const { chat, chat_metadata } = snapshot ? { chat: snapshot.chat, chat_metadata: snapshot.metadata } : getContext();
+
+    if (!chat || chat.length === 0) {
+        logDebug('聊天记录为空，取消备份');
+        return false; // 返回 false 表示备份未执行
+    }
+
+    const { entityName, chatName } = snapshot || getCurrentChatInfo();
+    const lastMsgIndex = chat.length - 1;
+    const lastMessage = chat[lastMsgIndex];
+    const lastMessagePreview = lastMessage?.mes?.substring(0, 100) || '(空消息)';
+
+    logDebug(`准备备份聊天: ${entityName} - ${chatName}, 消息数: ${chat.length}, 最后消息ID: ${lastMsgIndex}`);
+
+    try {
+        // 2. 使用 Worker 进行深拷贝 (或者主线程回退，如果Worker失败)
+        let copiedChat, copiedMetadata, byteSize, checksum;
+        if (backupWorker) {
+            try {
+                console.time('[聊天自动备份] Web Worker 深拷贝时间');
+                logDebug('请求 Worker 执行深拷贝...');
+                const result = await performDeepCopyInWorker(chat, chat_metadata);
+                copiedChat = result.chat;
+                copiedMetadata = result.metadata;
+                byteSize = result.byteSize;
+                checksum = result.checksum;
+                console.timeEnd('[聊天自动备份] Web Worker 深拷贝时间');
+                logDebug('从 Worker 收到拷贝后的数据');
+            } catch(workerError) {
+                 console.error('[聊天自动备份] Worker 深拷贝失败，将尝试在主线程执行:', workerError);
+                 // Worker失败，尝试主线程回退（如果需要）
+                 console.time('[聊天自动备份] 主线程深拷贝时间 (Worker失败后)');
+                 try {
+                     copiedChat = structuredClone(chat);
+                     copiedMetadata = structuredClone(chat_metadata);
                  } catch (structuredCloneError) {
                     try {
                         copiedChat = JSON.parse(JSON.stringify(chat));
@@ -445,345 +2694,2841 @@ async function executeBackupLogic(settings) {
                         console.error('[聊天自动备份] 主线程深拷贝也失败:', jsonError);
                         throw new Error("无法完成聊天数据的深拷贝"); // 抛出错误终止备份
                     }
-                 }
-                 console.timeEnd('[聊天自动备份] 主线程深拷贝时间 (Worker失败后)');
+                 }
+                 console.timeEnd('[聊天自动备份] 主线程深拷贝时间 (Worker失败后)');
+            }
+        } else {
+            // Worker 不可用，直接在主线程执行
+            console.time('[聊天自动备份] 主线程深拷贝时间 (无Worker)');
+            try {
+                 copiedChat = structuredClone(chat);
+                 copiedMetadata = structuredClone(chat_metadata);
+             } catch (structuredCloneError) {
+                try {
+                    copiedChat = JSON.parse(JSON.stringify(chat));
+                    copiedMetadata = JSON.parse(JSON.stringify(chat_metadata));
+                } catch (jsonError) {
+                    console.error('[聊天自动备份] 主线程深拷贝失败:', jsonError);
+                    throw new Error("无法完成聊天数据的深拷贝"); // 抛出错误终止备份
+                }
+             }
+            console.timeEnd('[聊天自动备份] 主线程深拷贝时间 (无Worker)');
+        }
+
+
+        if (!copiedChat) {
+             throw new Error("未能获取有效的聊天数据副本");
+        }
+
+        if (typeof byteSize !== 'number') {
+            byteSize = calculateByteSize({ chat: copiedChat, metadata: copiedMetadata || {} });
+        }
+        // 完整聊天和元数据的校验和，恢复/导出前用于检测损坏 (增量备份校验的是还原后的完整内容)
+        if (checksum === undefined) {
+            checksum = await calculateChecksum({ chat: copiedChat, metadata: copiedMetadata || {} });
+        }
+
+        // 3. 构建备份对象
+        let backup = {
+            timestamp: currentTimestamp,
+            chatKey,
+            entityType: identity.entityType,
+            entityId: identity.entityId,
+            chatId: identity.chatId,
+            entityName,
+            chatName,
+            lastMessageId: lastMsgIndex,
+            messageCount: copiedChat.length,
+            lastMessagePreview,
+            byteSize,
+            checksum,
+            trigger,
+            ...(triggerEvent ? { triggerEvent } : {}),
+            protected: isProtected,
+            label,
+            pinned: isPinned,
+            note: '',
+            tags: [],
+            storageType: 'full',
+            parentTimestamp: null,
+            chat: copiedChat,
+            metadata: copiedMetadata || {},
+            entitySnapshot: snapshot ? snapshot.entity : captureEntitySnapshot(identity),
+        };
+
+        // 4. 读取当前聊天已有备份的摘要 (不加载聊天内容)
+        const existingBackups = await getBackupSummariesForChat(chatKey);
+        let remainingBackups = existingBackups;
+        let replacedBackup = null; // 新备份保存成功后才删除被替换的最新备份
+
+        // 5. 按内容去重 (强制备份跳过检查)
+        if (!force) {
+            const { action, latest } = await compareWithLatestBackup(backup, existingBackups);
+            if (action === 'skip') {
+                logDebug(`内容与最新备份 (时间戳 ${latest.timestamp}) 完全相同，跳过保存和全局清理步骤`);
+                return false; // 不需要保存，返回 false
+            }
+            if (action === 'replace') {
+                logDebug(`只有最后一条消息变化，新备份 (时间戳 ${backup.timestamp}) 保存后将删除最新备份 (时间戳 ${latest.timestamp})`);
+                replacedBackup = latest;
+                // 增量不以即将删除的备份为基础
+                remainingBackups = existingBackups.filter(summary => summary !== latest);
+            }
+        }
+
+        // 6. 增量模式下只保存与上一个备份的差异
+        const fullChat = backup.chat;
+        const fullMetadata = backup.metadata;
+        if (settings.backupMode === 'delta') {
+            backup = await buildDeltaBackup(backup, remainingBackups, settings);
+        } else if (settings.backupMode === 'shared' && globalThis.crypto?.subtle) {
+            // 共享存储: 消息按内容哈希保存，与其他备份共用相同的消息
+            backup.storageType = 'shared';
+        }
+
+        // 7. 保存新备份到 IndexedDB
+        await saveBackupToDB(backup);
+        lastSnapshotCache = { chatKey, timestamp: backup.timestamp, chat: fullChat, metadata: fullMetadata };
+        logDebug(`新备份已保存: [${chatKey}, ${backup.timestamp}] (${{ delta: '增量', shared: '共享消息' }[backup.storageType] || '完整快照'})`);
+
+        // 新备份已保存，删除被替换的旧版本 (失败时两者都保留，不会丢失数据)
+        if (replacedBackup) {
+            try {
+                await deleteBackup(chatKey, replacedBackup.timestamp);
+                logDebug(`已删除被替换的备份 (时间戳 ${replacedBackup.timestamp})`);
+            } catch (error) {
+                console.error('[聊天自动备份] 删除被替换的备份失败，已保留:', error);
+            }
+        }
+
+        // 8. 按保留策略清理旧备份 (受保护和固定的备份不参与清理和计数)
+        await pruneBackups(settings);
+
+        // 9. UI提示
+        checkStorageQuota().catch(error => console.error('[聊天自动备份] 检查存储配额失败:', error));
+        if (settings.debug) {
+            // 只有成功保存了新备份才提示
+            toastr.info(`已备份聊天: ${entityName} (${lastMsgIndex + 1}条消息)`, '聊天自动备份');
+        }
+        logDebug(`成功完成聊天备份及可能的清理: ${entityName} - ${chatName}`);
+
+        return { chatKey, timestamp: backup.timestamp }; // 返回实际保存的备份，供调用方定位
+
+    } catch (error) {
+        console.error('[聊天自动备份] 备份或清理过程中发生严重错误:', error);
+        if (error?.name === 'QuotaExceededError') {
+            toastr.error('浏览器存储空间已满，备份失败。请删除或导出部分备份，或在设置中设置存储预算', '聊天自动备份', { timeOut: 10000 });
+        } else {
+            toastr.error(`备份失败: ${error.message || '未知错误'}`, '聊天自动备份');
+        }
+        // 返回 false 表示备份/清理操作失败
+        return false;
+    }
+}
+
+// --- 条件备份函数 (类似 saveChatConditional) ---
+// 保存了新备份时返回它的 { chatKey, timestamp }，否则返回 false
+// 备份进行中时不会丢弃请求，而是排队到当前备份完成后执行 (同一聊天只保留一个待执行请求)
+async function performBackupConditional(options = {}) {
+    if (isBackupInProgress) {
+        return queuePendingBackup(options);
+    }
+
+    // 获取当前设置，包括防抖延迟，以防在延迟期间被修改
+    const currentSettings = extension_settings[PLUGIN_NAME];
+    if (!currentSettings) {
+        console.error('[聊天自动备份] 无法获取当前设置，取消备份');
+        return false;
+    }
+
+    logDebug('执行条件备份 (performBackupConditional)');
+    clearTimeout(backupTimeout); // 取消任何待处理的防抖备份
+    backupTimeout = null;
+
+    isBackupInProgress = true;
+    logDebug('设置备份锁');
+    try {
+        const success = await executeBackupLogic(currentSettings, options); // 传递设置给核心逻辑
+        if (success) {
+            await updateBackupsList(); // 只有在备份成功或无需备份时才更新列表
+        }
+        return success;
+    } catch (error) {
+        console.error('[聊天自动备份] 条件备份执行失败:', error);
+        // 错误已在 executeBackupLogic 中处理和提示
+        return false;
+    } finally {
+        isBackupInProgress = false;
+        logDebug('释放备份锁');
+        processPendingBackups();
+    }
+}
+
+// 将备份请求加入队列，返回在该请求实际执行后 resolve 的 Promise
+// 请求时即捕获聊天状态，即使用户随后切换到其他聊天，排队的备份仍然针对原聊天
+function queuePendingBackup(options) {
+    const snapshot = options.snapshot || captureCurrentChatSnapshot();
+    if (!snapshot) {
+        logDebug('备份已在进行中，且当前聊天无可备份内容，跳过本次请求');
+        return Promise.resolve(false);
+    }
+
+    return new Promise(resolve => {
+        const pending = pendingBackups.get(snapshot.chatKey);
+        if (pending) {
+            // 合并为一次请求: 使用最新的聊天状态，保留先前请求的名称和固定标记
+            pending.options = {
+                ...pending.options,
+                ...options,
+                label: options.label || pending.options.label,
+                pinned: options.pinned || pending.options.pinned,
+                force: options.force || pending.options.force,
+            };
+            pending.snapshot = snapshot;
+            pending.resolvers.push(resolve);
+            logDebug(`备份已在进行中，合并到待执行的请求, ChatKey: ${snapshot.chatKey}`);
+        } else {
+            pendingBackups.set(snapshot.chatKey, { options, snapshot, resolvers: [resolve] });
+            logDebug(`备份已在进行中，请求已排队, ChatKey: ${snapshot.chatKey}`);
+        }
+    });
+}
+
+// 释放备份锁后执行下一个排队的请求 (强制备份优先)
+// 若排队的聊天仍是当前聊天，则使用执行时的最新状态；否则使用请求时捕获的状态
+function processPendingBackups() {
+    if (isBackupInProgress) {
+        return;
+    }
+    if (forcedBackups.length > 0) {
+        const { options, resolve } = forcedBackups.shift();
+        logDebug(`执行排队的强制备份, ChatKey: ${options.snapshot.chatKey}`);
+        // runForcedBackup 会同步获取备份锁，完成后继续处理队列
+        runForcedBackup(options).then(resolve, () => resolve(false));
+        return;
+    }
+    if (pendingBackups.size === 0) {
+        return;
+    }
+    const [chatKey, pending] = pendingBackups.entries().next().value;
+    pendingBackups.delete(chatKey);
+
+    const snapshot = chatKey === getCurrentChatKey() && !pending.options.snapshot ? null : pending.snapshot;
+    logDebug(`执行排队的备份, ChatKey: ${chatKey}, 使用${snapshot ? '请求时捕获的' : '当前'}聊天状态`);
+    // performBackupConditional 会同步获取备份锁，完成后继续处理队列中的下一个请求
+    performBackupConditional({ ...pending.options, snapshot })
+        .then(result => pending.resolvers.forEach(resolve => resolve(result)));
+}
+
+// --- 防抖备份函数 (类似 saveChatDebounced) ---
+function performBackupDebounced() {
+    // 获取调用时的上下文和设置
+    const scheduledChatKey = getCurrentChatKey();
+    const currentSettings = extension_settings[PLUGIN_NAME];
+
+    if (!scheduledChatKey) {
+        logDebug('无法获取计划防抖备份时的 ChatKey，取消');
+        clearTimeout(backupTimeout);
+        backupTimeout = null;
+        return;
+    }
+    
+    if (!currentSettings || typeof currentSettings.backupDebounceDelay !== 'number') {
+        console.error('[聊天自动备份] 无法获取有效的防抖延迟设置，取消防抖');
+        clearTimeout(backupTimeout);
+        backupTimeout = null;
+        return;
+    }
+    
+    const delay = currentSettings.backupDebounceDelay; // 使用当前设置的延迟
+
+    logDebug(`计划执行防抖备份 (延迟 ${delay}ms), 针对 ChatKey: ${scheduledChatKey}`);
+    clearTimeout(backupTimeout); // 清除旧的定时器
+
+    backupTimeout = setTimeout(async () => {
+        const currentChatKey = getCurrentChatKey(); // 获取执行时的 ChatKey
+
+        // 关键: 上下文检查
+        if (currentChatKey !== scheduledChatKey) {
+            logDebug(`上下文已更改 (当前: ${currentChatKey}, 计划时: ${scheduledChatKey})，取消此防抖备份`);
+            backupTimeout = null;
+            return; // 中止备份
+        }
+
+        logDebug(`执行延迟的备份操作 (来自防抖), ChatKey: ${currentChatKey}`);
+        // 只有上下文匹配时才执行条件备份
+        await performBackupConditional();
+        backupTimeout = null; // 清除定时器 ID
+    }, delay);
+}
+
+// --- 手动备份 ---
+async function performManualBackup() {
+    console.log('[聊天自动备份] 执行手动备份 (调用条件函数)');
+    await performBackupConditional({ trigger: 'manual' }); // 手动备份也走条件检查和锁逻辑
+    toastr.success('已手动备份当前聊天', '聊天自动备份');
+}
+
+// --- 强制备份 (不去重，不会被丢弃或合并) ---
+// 备份进行中时排到队列最前，当前备份完成后立即执行
+function performForcedBackup(options) {
+    const forcedOptions = { ...options, force: true };
+    if (!isBackupInProgress) {
+        return runForcedBackup(forcedOptions);
+    }
+    // 请求时捕获聊天状态，执行前聊天可能已被修改或切换
+    const snapshot = forcedOptions.snapshot || captureCurrentChatSnapshot(true);
+    if (!snapshot) {
+        logDebug('当前聊天无可备份内容，跳过强制备份');
+        return Promise.resolve(false);
+    }
+    logDebug(`备份已在进行中，强制备份已优先排队, ChatKey: ${snapshot.chatKey}`);
+    return new Promise(resolve => {
+        forcedBackups.push({ options: { ...forcedOptions, snapshot }, resolve });
+    });
+}
+
+async function runForcedBackup(options) {
+    isBackupInProgress = true;
+    logDebug('设置备份锁 (强制备份)');
+    try {
+        return await executeBackupLogic(extension_settings[PLUGIN_NAME], options);
+    } finally {
+        isBackupInProgress = false;
+        logDebug('释放备份锁 (强制备份)');
+        processPendingBackups();
+    }
+}
+
+// --- 删除前快照 ---
+// SillyTavern 的删除事件在聊天/角色被删除之后才发出，此时聊天内容可能已不在内存中。
+// 因此在用户点击删除/新建按钮时 (捕获阶段，先于 SillyTavern 的处理) 先复制受影响的聊天:
+// 当前聊天直接从内存复制，其他聊天 (被删除的非当前聊天，或被删除角色/群组的其他聊天) 通过聊天接口读取文件。
+// 等对应的事件真正发出后再保存为固定的强制备份；用户在确认弹窗中取消时丢弃，不会留下多余的备份。
+const PRE_DELETE_TIMEOUT = 60 * 1000; // 点击后多久内发生的事件视为同一次操作
+
+// 触发删除前快照的操作
+const PRE_DELETE_EVENT_LABELS = {
+    'delete-chat': '删除聊天前',
+    'delete-character': '删除角色前',
+    'delete-group': '删除群组前',
+    'new-chat': '新建聊天前',
+};
+
+// 对应的按钮 (capture 时读取被删除的聊天文件名)
+const PRE_DELETE_BUTTONS = [
+    { selector: '.PastChat_cross', action: 'delete-chat', getChatId: (element) => element.getAttribute('file_name') },
+    { selector: '#delete_button', action: 'delete-character' },
+    { selector: '#rm_group_delete', action: 'delete-group' },
+    { selector: '#option_start_new_chat', action: 'new-chat' },
+];
+
+// 确认弹窗的取消/关闭按钮，点击后丢弃已捕获的状态
+const PRE_DELETE_CANCEL_SELECTOR = '.popup-button-cancel, .popup-button-close, #dialogue_popup_cancel';
+
+let pendingPreDelete = null; // { action, capturedAt, snapshots: Promise<快照数组> }
+let isRestoreCreatingChat = false; // 恢复时由插件自己新建聊天，不视为用户的新建操作
+
+// 去掉聊天文件名的扩展名，便于和 chatId 比较
+function normalizeChatFileName(fileName) {
+    return String(fileName || '').replace(/\.jsonl$/i, '');
+}
+
+// 通过聊天接口读取角色/群组的聊天文件，返回 { chat, metadata }，文件不存在或为空时返回 null
+async function fetchChatFile(entityType, entityId, chatId) {
+    const isGroup = entityType === 'group';
+    let body;
+    if (isGroup) {
+        body = { id: chatId };
+    } else {
+        const character = characters.find(c => c.avatar === entityId);
+        if (!character) {
+            return null;
+        }
+        body = { ch_name: character.name, file_name: normalizeChatFileName(chatId), avatar_url: character.avatar };
+    }
+    const response = await fetch(isGroup ? '/api/chats/group/get' : '/api/chats/get', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify(body),
+        cache: 'no-cache',
+    });
+    if (!response.ok) {
+        throw new Error(`读取聊天文件失败 (${response.status})`);
+    }
+    const data = await response.json();
+    if (!Array.isArray(data) || data.length === 0) {
+        return null;
+    }
+    // 聊天文件的第一行可能是元数据头 (没有 mes 字段)
+    const header = data[0] && data[0].mes === undefined && ('chat_metadata' in data[0] || 'create_date' in data[0]) ? data[0] : null;
+    const chat = header ? data.slice(1) : data;
+    return chat.length ? { chat, metadata: header?.chat_metadata || {} } : null;
+}
+
+// 列出角色/群组的全部聊天 ID
+async function listEntityChatIds(entityType, entityId) {
+    if (entityType === 'group') {
+        return [...(getContext().groups?.find(g => g.id === entityId)?.chats || [])];
+    }
+    const response = await fetch('/api/characters/chats', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ avatar_url: entityId, simple: true }),
+        cache: 'no-cache',
+    });
+    if (!response.ok) {
+        throw new Error(`读取聊天列表失败 (${response.status})`);
+    }
+    const data = await response.json();
+    return Object.values(data || {}).map(item => normalizeChatFileName(item?.file_name)).filter(Boolean);
+}
+
+// 读取受影响的非当前聊天，构造 executeBackupLogic 使用的快照；读取失败的聊天记录在 failed 中
+async function fetchPreDeleteSnapshots(identity, entityName, chatIds) {
+    const snapshots = [];
+    const failed = [];
+    const entity = captureEntitySnapshot(identity);
+    for (const chatId of chatIds) {
+        try {
+            const file = await fetchChatFile(identity.entityType, identity.entityId, chatId);
+            if (!file) {
+                continue;
+            }
+            const chatIdentity = { ...identity, chatId };
+            snapshots.push({
+                identity: chatIdentity,
+                chatKey: buildChatKey(identity.entityType, identity.entityId, chatId),
+                entityName,
+                chatName: chatId,
+                chat: file.chat,
+                metadata: file.metadata,
+                entity,
+            });
+        } catch (error) {
+            console.error(`[聊天自动备份] 删除前读取聊天 ${chatId} 失败:`, error);
+            failed.push(chatId);
+        }
+    }
+    return { snapshots, failed };
+}
+
+// 捕获受影响的聊天，等待对应的删除/新建事件
+// 当前聊天同步复制；其他聊天在点击时立即开始读取 (先于确认后的删除请求到达服务器)
+function capturePreDeleteSnapshot(action, targetChatId = null) {
+    const identity = getCurrentChatIdentity();
+    if (!identity) {
+        return;
+    }
+    const currentChatId = normalizeChatFileName(identity.chatId);
+    const targetId = targetChatId === null ? currentChatId : normalizeChatFileName(targetChatId);
+    const includesCurrent = action !== 'delete-chat' || targetId === currentChatId;
+    const current = includesCurrent ? captureCurrentChatSnapshot(true) : null;
+    const { entityName } = getCurrentChatInfo();
+
+    let otherChatIds;
+    if (action === 'delete-chat') {
+        otherChatIds = Promise.resolve(includesCurrent ? [] : [targetId]);
+    } else if (action === 'new-chat') {
+        otherChatIds = Promise.resolve([]);
+    } else {
+        otherChatIds = listEntityChatIds(identity.entityType, identity.entityId)
+            .then(chatIds => chatIds.filter(chatId => normalizeChatFileName(chatId) !== currentChatId));
+    }
+    const snapshots = otherChatIds
+        .then(chatIds => fetchPreDeleteSnapshots(identity, entityName, chatIds))
+        .catch(error => {
+            console.error('[聊天自动备份] 删除前读取聊天列表失败:', error);
+            return { snapshots: [], failed: ['*'] };
+        })
+        .then(result => ({ snapshots: current ? [current, ...result.snapshots] : result.snapshots, failed: result.failed }));
+
+    pendingPreDelete = { action, capturedAt: Date.now(), snapshots };
+    logDebug(`已捕获删除前状态: ${action}`, { targetChatId: targetId, includesCurrent });
+}
+
+// 丢弃已捕获但未发生对应事件的状态 (确认弹窗被取消)
+function discardPreDeleteSnapshot(reason) {
+    if (pendingPreDelete) {
+        logDebug(`丢弃删除前状态 (${reason}): ${pendingPreDelete.action}`);
+        pendingPreDelete = null;
+    }
+}
+
+// 对应的事件发生后，为每个受影响的聊天保存固定的强制备份 (不做去重)
+async function commitPreDeleteSnapshot(action) {
+    const pending = pendingPreDelete;
+    if (!pending || pending.action !== action || Date.now() - pending.capturedAt > PRE_DELETE_TIMEOUT) {
+        return;
+    }
+    pendingPreDelete = null;
+    if (action === 'new-chat' && isRestoreCreatingChat) {
+        logDebug('恢复备份时新建的聊天，不保存删除前快照');
+        return;
+    }
+
+    const { snapshots, failed } = await pending.snapshots;
+    let savedCount = 0;
+    for (const snapshot of snapshots) {
+        const saved = await performForcedBackup({ trigger: 'pre-delete', triggerEvent: action, pinned: true, snapshot });
+        if (saved) {
+            savedCount++;
+        }
+    }
+
+    if (savedCount > 0) {
+        console.log(`[聊天自动备份] ${PRE_DELETE_EVENT_LABELS[action]}: 已保存 ${savedCount} 个固定备份`);
+        toastr.info(`${PRE_DELETE_EVENT_LABELS[action]}已保存 ${savedCount} 个固定备份，可在备份列表中恢复`, '聊天自动备份');
+        await updateBackupsList();
+    }
+    if (failed.length > 0) {
+        toastr.warning(`${PRE_DELETE_EVENT_LABELS[action]}有聊天未能读取，没有保存快照`, '聊天自动备份');
+    }
+}
+
+// 绑定按钮捕获和删除/新建事件
+function setupPreDeleteSnapshots() {
+    document.addEventListener('click', (event) => {
+        if (pendingPreDelete && event.target.closest?.(PRE_DELETE_CANCEL_SELECTOR)) {
+            discardPreDeleteSnapshot('用户取消');
+            return;
+        }
+        for (const { selector, action, getChatId } of PRE_DELETE_BUTTONS) {
+            const element = event.target.closest?.(selector);
+            if (element) {
+                try {
+                    capturePreDeleteSnapshot(action, getChatId ? getChatId(element) : null);
+                } catch (error) {
+                    console.error('[聊天自动备份] 捕获删除前状态失败:', error);
+                }
+                return;
+            }
+        }
+    }, true);
+    document.addEventListener('keydown', (event) => {
+        // Esc 关闭确认弹窗等同于取消
+        if (pendingPreDelete && event.key === 'Escape') {
+            discardPreDeleteSnapshot('按下 Esc');
+        }
+    }, true);
+
+    const eventActions = [
+        [event_types.CHAT_DELETED, 'delete-chat'],
+        [event_types.GROUP_CHAT_DELETED, 'delete-chat'],
+        [event_types.CHARACTER_DELETED, 'delete-character'],
+        [event_types.GROUP_DELETED, 'delete-group'],
+        [event_types.CHAT_CREATED, 'new-chat'],
+        [event_types.GROUP_CHAT_CREATED, 'new-chat'],
+    ].filter(([eventType]) => eventType);
+    eventActions.forEach(([eventType, action]) => {
+        eventSource.on(eventType, () => {
+            logDebug(`事件触发 (删除前快照): ${eventType}`);
+            commitPreDeleteSnapshot(action).catch(error => {
+                console.error(`[聊天自动备份] 保存删除前快照失败 (${eventType}):`, error);
+                toastr.error(`保存删除前快照失败: ${error.message}`, '聊天自动备份');
+            });
+        });
+    });
+    logDebug('删除前快照监听已设置:', eventActions.map(([eventType]) => eventType));
+}
+
+// --- 定时备份 ---
+// 每隔 N 分钟检查当前聊天，内容与最新备份不同时保存一次 (补充事件触发的备份遗漏的修改)
+let intervalBackupTimer = null;
+let isGenerating = false; // 生成 (流式输出) 进行中时暂停定时备份
+
+// 按设置 (重新) 启动定时器
+function startIntervalBackup() {
+    clearInterval(intervalBackupTimer);
+    intervalBackupTimer = null;
+    const minutes = extension_settings[PLUGIN_NAME]?.intervalBackupMinutes;
+    if (!minutes) {
+        logDebug('定时备份已关闭');
+        return;
+    }
+    intervalBackupTimer = setInterval(() => {
+        runIntervalBackup().catch(error => console.error('[聊天自动备份] 定时备份失败:', error));
+    }, minutes * 60 * 1000);
+    logDebug(`定时备份已启动，间隔 ${minutes} 分钟`);
+}
+
+async function runIntervalBackup() {
+    if (isGenerating) {
+        logDebug('生成进行中，跳过本次定时备份');
+        return;
+    }
+    if (isBackupInProgress) {
+        logDebug('备份已在进行中，跳过本次定时备份');
+        return;
+    }
+    const chatKey = getCurrentChatKey();
+    const { chat, chat_metadata } = getContext();
+    if (!chatKey || !chat || chat.length === 0) {
+        return;
+    }
+
+    // 与该聊天最新备份的校验和比较，内容未变化时不备份
+    const [latest] = (await getBackupSummariesForChat(chatKey)).sort((a, b) => b.timestamp - a.timestamp);
+    if (latest) {
+        const checksum = await calculateChecksum({ chat, metadata: chat_metadata || {} });
+        const unchanged = checksum !== null && latest.checksum
+            ? checksum === latest.checksum
+            // 无法计算校验和时退化为比较消息数和大小
+            : latest.messageCount === chat.length && latest.byteSize === calculateByteSize({ chat, metadata: chat_metadata || {} });
+        if (unchanged) {
+            logDebug('聊天内容自上次备份后未变化，跳过定时备份');
+            return;
+        }
+    }
+
+    logDebug('聊天内容已变化，执行定时备份');
+    await performBackupConditional({ trigger: 'interval' });
+}
+
+// --- 恢复逻辑 ---
+// 解析备份对应的实体类型、实体 ID 和聊天文件 ID
+// 优先使用备份记录中保存的字段；否则从 chatKey 解析 (旧版角色索引格式返回 legacyIndex，entityId 为 null)
+function parseChatKey(chatKey, record = null) {
+    if (record?.entityType && record.entityId && record.chatId) {
+        return { isGroup: record.entityType === 'group', entityId: record.entityId, chatId: record.chatId };
+    }
+    const groupMatch = chatKey.match(/^group_([^_]+)_(.+)$/);
+    if (groupMatch) {
+        return { isGroup: true, entityId: groupMatch[1], chatId: groupMatch[2] };
+    }
+    const legacyMatch = chatKey.match(/^char_(\d+)_(.+)$/);
+    if (legacyMatch) {
+        return { isGroup: false, entityId: null, legacyIndex: parseInt(legacyMatch[1], 10), chatId: legacyMatch[2] };
+    }
+    const avatarMatch = chatKey.match(/^char_(.+?\.(?:png|webp|gif|jpe?g))_(.+)$/i);
+    if (avatarMatch) {
+        return { isGroup: false, entityId: avatarMatch[1], chatId: avatarMatch[2] };
+    }
+    return null;
+}
+
+// 打开实体下指定的聊天文件 (用于覆盖原聊天)
+async function openOriginalChat(isGroup, entityId, chatId) {
+    const context = getContext();
+    if (context.chatId === chatId) {
+        logDebug(`原聊天 ${chatId} 已是当前聊天`);
+        return;
+    }
+    logDebug(`打开原聊天: ${chatId}`);
+    if (isGroup) {
+        await openGroupChat(entityId, chatId);
+    } else {
+        await openCharacterChat(chatId);
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+    if (getContext().chatId !== chatId) {
+        throw new Error(`无法打开原聊天 "${chatId}"，它可能已被删除，请改用恢复到新聊天`);
+    }
+}
+
+// options.mode: 'new' 恢复到新聊天 (默认), 'overwrite' 覆盖备份对应的原聊天
+// options.target: { isGroup, entityId } 恢复到指定的其他角色/群组 (总是恢复到新聊天)
+async function restoreBackup(backupData, options = {}) {
+    let mode = options.mode === 'overwrite' && !options.target ? 'overwrite' : 'new';
+    console.log('[聊天自动备份] 开始恢复备份:', { chatKey: backupData.chatKey, timestamp: backupData.timestamp, mode });
+    if (!options.skipIntegrityCheck && !(await ensureBackupIntegrity(backupData, '恢复'))) {
+        return false;
+    }
+    const initialContext = getContext(); // 获取初始上下文
+    const parsedKey = parseChatKey(backupData.chatKey, backupData);
+    let isGroup = parsedKey ? parsedKey.isGroup : backupData.chatKey.startsWith('group_');
+
+    let entityId = parsedKey ? parsedKey.entityId : null;
+    if (options.target) {
+        // 恢复到用户选择的其他角色/群组
+        ({ isGroup, entityId } = options.target);
+    } else {
+        // 角色备份的 entityId 是头像文件名；尚未迁移的旧版索引格式在这里按索引+角色名解析
+        if (!entityId && parsedKey?.legacyIndex !== undefined) {
+            entityId = resolveLegacyCharacterAvatar(parsedKey.legacyIndex, backupData.entityName);
+            logDebug(`旧版角色索引 ${parsedKey.legacyIndex} 解析为头像: ${entityId}`);
+        }
+
+        if (!entityId && !backupData.entitySnapshot) {
+            console.error('[聊天自动备份] 无法从备份数据中提取角色/群组ID:', backupData.chatKey);
+            toastr.error('无法识别备份对应的角色/群组ID');
+            return false;
+        }
+
+        // 角色/群组已被删除或重命名时，提供根据备份中的快照重建
+        if (!entityId || !entityExists(isGroup, entityId)) {
+            logDebug(`备份对应的${isGroup ? '群组' : '角色'} ${entityId} 不存在`);
+            entityId = await promptRecreateEntity(backupData, isGroup);
+            if (!entityId) {
+                return false;
+            }
+            if (mode === 'overwrite') {
+                // 原聊天属于已删除的实体，只能恢复到重建实体的新聊天中
+                logDebug('实体已重建，覆盖恢复改为恢复到新聊天');
+                mode = 'new';
+            }
+        }
+    }
+
+    logDebug(`恢复目标: ${isGroup ? '群组' : '角色'} ID/标识: ${entityId}`);
+
+    try {
+        // 1. 切换角色/群组
+        try {
+            if (isGroup) {
+                logDebug(`切换到群组: ${entityId}`);
+                await select_group_chats(entityId); // 使用导入的函数
+            } else {
+                // entityId 是头像文件名，在恢复时解析为角色列表中的当前索引
+                const charIndex = characters.findIndex(character => character.avatar === entityId);
+                if (charIndex === -1) {
+                    throw new Error(`找不到头像为 ${entityId} 的角色，它可能已被删除或重命名`);
+                }
+
+                logDebug(`头像 ${entityId} 对应当前角色索引: ${charIndex}`);
+                // 直接使用数字索引调用 selectCharacterById
+                await selectCharacterById(charIndex, { switchMenu: false });
+            }
+            // 等待状态更新
+            await new Promise(resolve => setTimeout(resolve, 500));
+        } catch (switchError) {
+            console.error('[聊天自动备份] 切换角色/群组失败:', switchError);
+            const errorMsg = switchError instanceof Error ? switchError.message : String(switchError);
+            toastr.error(`切换到 ${isGroup ? '群组' : '角色'} ${entityId} 失败: ${errorMsg}`);
+            return false;
+        }
+
+        // 2. 创建新聊天，或打开原聊天并先为其当前状态保存受保护的快照
+        if (mode === 'overwrite') {
+            try {
+                await openOriginalChat(isGroup, entityId, parsedKey.chatId);
+            } catch (openError) {
+                console.error('[聊天自动备份] 打开原聊天失败:', openError);
+                toastr.error(openError.message || '打开原聊天失败', '聊天自动备份');
+                return false;
+            }
+
+            const currentChat = getContext().chat;
+            if (currentChat && currentChat.length > 0) {
+                logDebug('覆盖前为原聊天当前状态保存安全快照');
+                const snapshotSaved = await performForcedBackup({ trigger: 'pre-restore', protected: true });
+                if (!snapshotSaved) {
+                    console.error('[聊天自动备份] 安全快照保存失败，已取消覆盖恢复');
+                    toastr.error('无法保存覆盖前的安全快照，已取消恢复', '聊天自动备份');
+                    return false;
+                }
+                await updateBackupsList();
+            } else {
+                logDebug('原聊天为空，无需安全快照');
+            }
+        } else {
+            try {
+                logDebug('创建新的聊天');
+                isRestoreCreatingChat = true;
+                await doNewChat({ deleteCurrentChat: false }); // 使用导入的函数
+                await new Promise(resolve => setTimeout(resolve, 800));
+            } catch (newChatError) {
+                console.error('[聊天自动备份] 创建新聊天失败:', newChatError);
+                toastr.error('创建新聊天失败');
+                return false;
+            } finally {
+                isRestoreCreatingChat = false;
+            }
+        }
+
+        // 3. 重新获取上下文并验证
+        const newContext = getContext();
+        logDebug('重新获取上下文完成');
+        const currentRestoredKey = getCurrentChatKey(); // 获取基于新上下文的 key
+        const currentIdentity = getCurrentChatIdentity();
+
+        if (isGroup && (!currentIdentity || currentIdentity.entityId !== entityId)) {
+             console.error(`[聊天自动备份] 切换或创建新聊天后群组上下文不匹配！预期 ${entityId}，实际为 ${currentRestoredKey}`);
+             toastr.error('恢复后未能正确设置群组聊天上下文');
+             return false;
+        } else if (!isGroup && (!currentIdentity || currentIdentity.entityId !== entityId)) {
+             console.error(`[聊天自动备份] 切换或创建新聊天后角色上下文不匹配！预期头像 ${entityId}，实际为 ${currentIdentity?.entityId} (角色索引: ${newContext.characterId})`);
+             toastr.error('恢复后未能正确设置角色聊天上下文');
+             return false;
+        }
+        logDebug(`上下文已确认: ${currentRestoredKey}`); // 现在这行应该可以被执行了
+
+        // 4. 恢复聊天内容
+        // ... (这部分及之后的代码应该保持不变) ...
+        logDebug('开始恢复聊天消息, 数量:', backupData.chat.length);
+        if (!newContext.chat) { /*...*/ return false; }
+        newContext.chat.length = 0;
+        const copiedChatData = structuredClone(backupData.chat);
+        copiedChatData.forEach(msg => newContext.chat.push(msg));
+        logDebug(`聊天内容已恢复到 newContext.chat, 长度: ${newContext.chat.length}`);
+
+        // 5. 恢复元数据
+        // ...
+         if (backupData.metadata) {
+            logDebug('恢复聊天元数据:', backupData.metadata);
+            updateChatMetadata(structuredClone(backupData.metadata), true);
+            logDebug('聊天元数据已应用');
+        } else {
+            logDebug('无元数据需要恢复');
+        }
+
+
+        // 6. 显式更新 UI
+        // ...
+        logDebug('开始更新聊天界面UI');
+        await printMessages();
+        scrollChatToBottom();
+        logDebug('聊天界面UI已更新');
+
+        // 7. 保存恢复的聊天状态
+        // ...
+        logDebug('保存恢复后的聊天状态');
+        await saveChatConditional();
+        logDebug('聊天状态已保存');
+
+        // 8. 触发其他相关事件
+        eventSource.emit(event_types.CHAT_CHANGED, newContext.chatId);
+
+
+        console.log('[聊天自动备份] 聊天恢复成功');
+        toastr.success(mode === 'overwrite' ? '原聊天已回滚到备份内容 (覆盖前的状态已保存为受保护快照)' : '聊天记录已成功恢复到新聊天');
+        return true;
+
+    } catch (error) {
+        // ... (最终错误处理不变) ...
+        console.error('[聊天自动备份] 恢复聊天过程中发生严重错误:', error);
+        toastr.error(`恢复失败: ${error.message || '未知错误'}`, '聊天自动备份');
+        return false;
+    }
+}
+
+// --- 导出与导入 ---
+const ARCHIVE_TYPE = 'chat-auto-backup-archive';
+const ARCHIVE_VERSION = 1;
+
+// 恢复方式选择结果 (对应弹窗按钮)
+const RESTORE_CHOICE = { NEW_CHAT: 1, OVERWRITE: 2, PARTIAL: 3, OTHER_ENTITY: 4 };
+// 导出范围选择结果 (对应弹窗按钮)
+const EXPORT_CHOICE = { BACKUP: 1, CHAT: 2, JSONL: 3 };
+// 导入冲突处理结果 (对应弹窗按钮)
+const IMPORT_CONFLICT_CHOICE = { OVERWRITE: 1, KEEP_BOTH: 2, SKIP: 3 };
+// 导出时包含校验失败的备份 (对应弹窗按钮)
+const EXPORT_DAMAGED_CHOICE = { INCLUDE: 2 };
+
+// 生成文件名中使用的时间字符串
+function formatFileTimestamp(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+// 去掉文件名中的非法字符
+function sanitizeFileName(name) {
+    return String(name || 'backup').replace(/[\\/:*?"<>|]+/g, '_').trim() || 'backup';
+}
+
+// 将备份还原为可移植的完整记录 (去除增量/压缩等存储细节)
+function toPortableBackup(fullBackup) {
+    const { storageType, parentTimestamp, storedSize, encrypted, sealed, ...portable } = fullBackup;
+    if (encrypted && !portable.lastMessagePreview && Array.isArray(portable.chat)) {
+        // 较早加密的备份的摘要没有预览，导出的是明文，补上预览
+        portable.lastMessagePreview = portable.chat[portable.chat.length - 1]?.mes?.substring(0, 100) || '(空消息)';
+    }
+    return portable;
+}
+
+// 构建包含插件设置和指定备份的存档对象
+// 无法读取的备份会被跳过；校验失败的备份是否包含由用户决定，取消时返回 null
+async function buildBackupArchive(keys) {
+    const backups = [];
+    const damaged = [];
+    let unreadableCount = 0;
+    for (const [chatKey, timestamp] of keys) {
+        let fullBackup;
+        try {
+            fullBackup = await getFullBackup(chatKey, timestamp);
+        } catch (error) {
+            console.error('[聊天自动备份] 导出时无法读取备份，已跳过:', { chatKey, timestamp }, error);
+            unreadableCount++;
+            continue;
+        }
+        if (!fullBackup) {
+            console.warn('[聊天自动备份] 导出时找不到备份，已跳过:', { chatKey, timestamp });
+            continue;
+        }
+        if (await checkBackupIntegrity(fullBackup) === INTEGRITY_STATUS.DAMAGED) {
+            damaged.push(fullBackup);
+            continue;
+        }
+        backups.push(toPortableBackup(fullBackup));
+    }
+
+    if (damaged.length > 0 || unreadableCount > 0) {
+        const choice = await callGenericPopup(
+            `<p>${unreadableCount ? `${unreadableCount} 个备份无法读取，已跳过。` : ''}${damaged.length ? `${damaged.length} 个备份校验失败，数据可能已损坏或被修改。` : ''}</p>
+            ${damaged.length ? '<p>是否仍然导出校验失败的备份？</p>' : ''}`,
+            POPUP_TYPE.TEXT,
+            '',
+            {
+                okButton: damaged.length ? '跳过校验失败的备份' : '继续导出',
+                cancelButton: '取消导出',
+                customButtons: damaged.length ? [{ text: '仍然导出', result: EXPORT_DAMAGED_CHOICE.INCLUDE, classes: ['danger_button'] }] : [],
+            },
+        );
+        if (!choice) {
+            return null;
+        }
+        if (choice === EXPORT_DAMAGED_CHOICE.INCLUDE) {
+            backups.push(...damaged.map(toPortableBackup));
+        }
+    }
+
+    return {
+        type: ARCHIVE_TYPE,
+        version: ARCHIVE_VERSION,
+        plugin: PLUGIN_NAME,
+        exportedAt: new Date().toISOString(),
+        settings: { ...structuredClone(extension_settings[PLUGIN_NAME]), encryption: undefined }, // 存档中的备份是明文，不导出加密设置
+        backups,
+    };
+}
+
+// 导出备份存档: scope 为 'backup' (单个), 'chat' (该聊天的全部备份) 或 'all' (全部)
+async function exportBackupArchive(scope, chatKey = null, timestamp = null) {
+    let keys;
+    let fileLabel;
+    if (scope === 'backup') {
+        keys = [[chatKey, timestamp]];
+        fileLabel = `${chatKey}-${formatFileTimestamp(timestamp)}`;
+    } else if (scope === 'chat') {
+        keys = (await getBackupSummariesForChat(chatKey)).map(s => [s.chatKey, s.timestamp]);
+        fileLabel = chatKey;
+    } else {
+        keys = await getAllBackupKeys();
+        fileLabel = 'all';
+    }
+
+    if (keys.length === 0) {
+        toastr.warning('没有可导出的备份', '聊天自动备份');
+        return false;
+    }
+
+    logDebug(`开始导出备份存档, 范围: ${scope}, 数量: ${keys.length}`);
+    const archive = await buildBackupArchive(keys);
+    if (!archive) {
+        logDebug('用户取消了导出');
+        return false;
+    }
+    const fileName = sanitizeFileName(`chat-backup-${fileLabel}-${formatFileTimestamp(Date.now())}`) + '.json';
+    download(JSON.stringify(archive), fileName, 'application/json');
+    toastr.success(`已导出 ${archive.backups.length} 个备份`, '聊天自动备份');
+    return true;
+}
+
+// 将单个备份导出为 SillyTavern 原生的 .jsonl 聊天文件 (可通过聊天导入功能导入)
+async function exportBackupAsChatJsonl(chatKey, timestamp) {
+    const fullBackup = await getFullBackup(chatKey, timestamp);
+    if (!fullBackup) {
+        toastr.error('找不到指定的备份', '聊天自动备份');
+        return false;
+    }
+    if (!(await ensureBackupIntegrity(fullBackup, '导出'))) {
+        return false;
+    }
+
+    const header = {
+        user_name: getContext().name1 || 'User',
+        character_name: fullBackup.entityName || 'Character',
+        create_date: new Date(fullBackup.timestamp).toISOString(),
+        chat_metadata: fullBackup.metadata || {},
+    };
+    const lines = [header, ...fullBackup.chat].map(item => JSON.stringify(item));
+    const fileName = sanitizeFileName(`${fullBackup.entityName} - ${fullBackup.chatName} - ${formatFileTimestamp(timestamp)}`) + '.jsonl';
+    download(lines.join('\n'), fileName, 'application/jsonl');
+    toastr.success('已导出为 SillyTavern 聊天文件', '聊天自动备份');
+    return true;
+}
+
+// 导入存档时保留的摘要字段及其类型 (timestamp 和 tags 单独检查)
+const IMPORTED_SUMMARY_FIELDS = {
+    chatKey: 'string',
+    entityType: 'string',
+    entityId: 'string',
+    chatId: 'string',
+    entityName: 'string',
+    chatName: 'string',
+    lastMessagePreview: 'string',
+    checksum: 'string',
+    trigger: 'string',
+    triggerEvent: 'string',
+    protected: 'boolean',
+    label: 'string',
+    pinned: 'boolean',
+    note: 'string',
+};
+
+// 判断是否为普通对象 (排除数组和 null)
+function isPlainObject(value) {
+    return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+// 校验存档中的角色/群组快照，它会在重建时直接提交给服务器，形状不符时返回 null
+function normalizeImportedEntitySnapshot(snapshot) {
+    if (!isPlainObject(snapshot) || typeof snapshot.entityId !== 'string' || typeof snapshot.name !== 'string' || !snapshot.name) {
+        return null;
+    }
+    if (snapshot.entityType === 'char') {
+        const { card } = snapshot;
+        if (!isPlainObject(card) || !isPlainObject(card.data) || typeof card.data.name !== 'string') {
+            return null;
+        }
+        return { entityType: 'char', entityId: snapshot.entityId, name: snapshot.name, card };
+    }
+    if (snapshot.entityType === 'group') {
+        const { group, members } = snapshot;
+        if (!isPlainObject(group) || typeof group.name !== 'string' || !isStringArray(group.members ?? [])
+            || !isStringArray(group.disabled_members ?? [])) {
+            return null;
+        }
+        if (!Array.isArray(members) || !members.every(member => isPlainObject(member) && typeof member.avatar === 'string' && typeof member.name === 'string')) {
+            return null;
+        }
+        // 与捕获快照时一样去掉由服务器管理的字段
+        const definition = { ...group };
+        VOLATILE_GROUP_FIELDS.forEach(field => delete definition[field]);
+        return {
+            entityType: 'group',
+            entityId: snapshot.entityId,
+            name: snapshot.name,
+            group: definition,
+            members: members.map(({ avatar, name }) => ({ avatar, name })),
+        };
+    }
+    return null;
+}
+
+// 校验并规范化存档中的单个备份，无效时返回 null
+function normalizeImportedBackup(backup) {
+    if (!backup || typeof backup.chatKey !== 'string' || !Number.isFinite(backup.timestamp) || !Array.isArray(backup.chat)) {
+        return null;
+    }
+    const chat = backup.chat;
+    const metadata = backup.metadata && typeof backup.metadata === 'object' ? backup.metadata : {};
+    const lastMessage = chat[chat.length - 1];
+    // 只复制已知的摘要字段并检查类型，存档中的其他字段一律丢弃
+    const summary = {};
+    for (const [field, type] of Object.entries(IMPORTED_SUMMARY_FIELDS)) {
+        if (typeof backup[field] === type) {
+            summary[field] = backup[field];
+        }
+    }
+    if (summary.entityType !== undefined && !['char', 'group'].includes(summary.entityType)) {
+        delete summary.entityType;
+    }
+    return {
+        ...summary,
+        timestamp: backup.timestamp,
+        tags: Array.isArray(backup.tags) ? backup.tags.filter(tag => typeof tag === 'string') : [],
+        entityName: summary.entityName || '未知',
+        chatName: summary.chatName || '导入的聊天',
+        lastMessageId: chat.length - 1,
+        messageCount: chat.length,
+        lastMessagePreview: summary.lastMessagePreview ?? (typeof lastMessage?.mes === 'string' ? lastMessage.mes.substring(0, 100) : '(空消息)'),
+        byteSize: calculateByteSize({ chat, metadata }),
+        storageType: 'full',
+        parentTimestamp: null,
+        chat,
+        metadata,
+        entitySnapshot: normalizeImportedEntitySnapshot(backup.entitySnapshot),
+    };
+}
+
+// 从存档文件导入备份，按 [chatKey, timestamp] 处理冲突
+async function importBackupArchive(file) {
+    let archive;
+    try {
+        archive = JSON.parse(await file.text());
+    } catch (error) {
+        throw new Error(`无法解析存档文件: ${error.message}`);
+    }
+    if (!archive || archive.type !== ARCHIVE_TYPE || !Array.isArray(archive.backups)) {
+        throw new Error('所选文件不是有效的聊天备份存档');
+    }
+    if (archive.version > ARCHIVE_VERSION) {
+        throw new Error(`存档版本 ${archive.version} 过新，请更新插件后再导入`);
+    }
+
+    const backups = archive.backups.map(normalizeImportedBackup);
+    let invalidCount = backups.filter(b => !b).length;
+    const validBackups = [];
+    // 存档中带有校验和的备份先校验，不导入损坏或被修改的内容
+    for (const backup of backups.filter(Boolean)) {
+        if (await checkBackupIntegrity(backup) === INTEGRITY_STATUS.DAMAGED) {
+            console.warn('[聊天自动备份] 导入的备份校验失败，已跳过:', { chatKey: backup.chatKey, timestamp: backup.timestamp });
+            invalidCount++;
+            continue;
+        }
+        validBackups.push(backup);
+    }
+    logDebug(`存档包含 ${archive.backups.length} 个备份，有效 ${validBackups.length} 个`);
+
+    // 导入期间持有备份锁，避免与自动备份、清理或重新加密同时写入数据库
+    if (isBackupInProgress) {
+        toastr.warning('备份正在进行中，请稍后再试', '聊天自动备份');
+        return false;
+    }
+    isBackupInProgress = true;
+    let importedCount = 0, skippedCount = 0;
+    try {
+        const existingKeys = new Set((await getAllBackupKeys()).map(([chatKey, timestamp]) => `${chatKey}|${timestamp}`));
+        const conflicts = validBackups.filter(b => existingKeys.has(`${b.chatKey}|${b.timestamp}`));
+
+        let conflictChoice = IMPORT_CONFLICT_CHOICE.SKIP;
+        if (conflicts.length > 0) {
+            conflictChoice = await callGenericPopup(
+                `<p>存档中有 <b>${conflicts.length}</b> 个备份与现有备份的 [聊天, 时间] 相同。</p><p>请选择如何处理这些冲突：</p>`,
+                POPUP_TYPE.TEXT,
+                '',
+                {
+                    okButton: '覆盖现有备份',
+                    cancelButton: '取消导入',
+                    customButtons: [
+                        { text: '保留两者', result: IMPORT_CONFLICT_CHOICE.KEEP_BOTH },
+                        { text: '跳过冲突项', result: IMPORT_CONFLICT_CHOICE.SKIP },
+                    ],
+                },
+            );
+            if (!conflictChoice) {
+                logDebug('用户取消了导入');
+                return false;
+            }
+        }
+
+        for (const backup of validBackups) {
+            const key = `${backup.chatKey}|${backup.timestamp}`;
+            if (existingKeys.has(key)) {
+                if (conflictChoice === IMPORT_CONFLICT_CHOICE.SKIP) {
+                    skippedCount++;
+                    continue;
+                }
+                if (conflictChoice === IMPORT_CONFLICT_CHOICE.OVERWRITE) {
+                    await deleteBackup(backup.chatKey, backup.timestamp);
+                } else {
+                    // 保留两者: 为导入的备份寻找一个未被占用的时间戳
+                    while (existingKeys.has(`${backup.chatKey}|${backup.timestamp}`)) {
+                        backup.timestamp++;
+                    }
+                }
             }
-        } else {
-            // Worker 不可用，直接在主线程执行
-            console.time('[聊天自动备份] 主线程深拷贝时间 (无Worker)');
+            await saveBackupToDB(backup);
+            existingKeys.add(`${backup.chatKey}|${backup.timestamp}`);
+            importedCount++;
+        }
+
+        if (archive.settings && typeof archive.settings === 'object' &&
+            confirm('存档中包含插件设置，是否用它替换当前设置？')) {
+            const { encryption, ...importedSettings } = archive.settings; // 加密设置与本机的备份绑定，不导入
+            Object.assign(extension_settings[PLUGIN_NAME], importedSettings);
+            initSettings(); // 校验导入的设置
+            applySettingsToUI(extension_settings[PLUGIN_NAME]);
+            startIntervalBackup();
+            lastSnapshotCache = null;
+            saveSettingsDebounced();
+        }
+        await migrateLegacyCharacterKeys(); // 存档中可能包含旧版角色索引格式的备份
+    } finally {
+        isBackupInProgress = false;
+        processPendingBackups();
+    }
+
+    console.log(`[聊天自动备份] 导入完成: 导入 ${importedCount} 个, 跳过 ${skippedCount} 个, 无效 ${invalidCount} 个`);
+    toastr.success(`导入 ${importedCount} 个备份${skippedCount ? `，跳过 ${skippedCount} 个` : ''}${invalidCount ? `，${invalidCount} 个无效` : ''}`, '聊天自动备份');
+    const prunePlan = planBackupPrune(await getAllBackupSummaries(), extension_settings[PLUGIN_NAME], Date.now(), await getSharedStoreUsage());
+    if (prunePlan.length > 0) {
+        toastr.warning(`按当前的保留策略，下次自动备份时会清理 ${prunePlan.length} 个备份，可在设置中预览`, '聊天自动备份');
+    }
+    await updateBackupsList();
+    return true;
+}
+
+// --- 完整性校验 ---
+const INTEGRITY_STATUS = {
+    OK: 'ok',                 // 校验和一致
+    DAMAGED: 'damaged',       // 校验和不一致
+    UNVERIFIED: 'unverified', // 旧备份没有校验和，或浏览器不支持 SHA-256
+};
+
+// 校验完整备份 (含 chat/metadata) 的内容是否与保存时的校验和一致
+async function checkBackupIntegrity(backup) {
+    if (!backup.checksum) {
+        return INTEGRITY_STATUS.UNVERIFIED;
+    }
+    const actual = await calculateChecksum({ chat: backup.chat, metadata: backup.metadata || {} });
+    if (actual === null) {
+        return INTEGRITY_STATUS.UNVERIFIED;
+    }
+    return actual === backup.checksum ? INTEGRITY_STATUS.OK : INTEGRITY_STATUS.DAMAGED;
+}
+
+// 恢复/导出前校验备份，校验失败时必须由用户明确确认才继续
+async function ensureBackupIntegrity(backup, actionName) {
+    const status = await checkBackupIntegrity(backup);
+    if (status !== INTEGRITY_STATUS.DAMAGED) {
+        logDebug(`备份 [${backup.chatKey}, ${backup.timestamp}] 完整性校验: ${status}`);
+        return true;
+    }
+    console.error('[聊天自动备份] 备份校验失败:', { chatKey: backup.chatKey, timestamp: backup.timestamp });
+    const confirmed = await callGenericPopup(
+        `<p><b>备份校验失败</b></p>
+        <p>"${escapeHtml(backup.entityName)} - ${escapeHtml(backup.chatName)}" 的内容与保存时的校验和不一致，数据可能已损坏或被修改。</p>
+        <p>仍要${actionName}此备份吗？</p>`,
+        POPUP_TYPE.CONFIRM,
+        '',
+        { okButton: `仍然${actionName}`, cancelButton: '取消' },
+    );
+    if (!confirmed) {
+        toastr.warning(`已取消${actionName}：备份校验失败`, '聊天自动备份');
+    }
+    return !!confirmed;
+}
+
+// 校验所有备份，报告校验失败和无法读取的记录
+async function verifyAllBackups() {
+    const summaries = (await getAllBackupSummaries()).sort((a, b) => b.timestamp - a.timestamp);
+    if (summaries.length === 0) {
+        toastr.info('暂无保存的备份', '聊天自动备份');
+        return;
+    }
+    if (summaries.some(summary => summary.encrypted) && isEncryptionLocked() && !(await unlockEncryption())) {
+        toastr.warning('未解锁加密，无法校验加密的备份', '聊天自动备份');
+        return;
+    }
+
+    const notice = toastr.info(`正在校验 ${summaries.length} 个备份...`, '聊天自动备份', { timeOut: 0, extendedTimeOut: 0 });
+    const problems = [];
+    let okCount = 0, unverifiedCount = 0;
+    try {
+        for (const summary of summaries) {
             try {
-                 copiedChat = structuredClone(chat);
-                 copiedMetadata = structuredClone(chat_metadata);
-             } catch (structuredCloneError) {
-                try {
-                    copiedChat = JSON.parse(JSON.stringify(chat));
-                    copiedMetadata = JSON.parse(JSON.stringify(chat_metadata));
-                } catch (jsonError) {
-                    console.error('[聊天自动备份] 主线程深拷贝失败:', jsonError);
-                    throw new Error("无法完成聊天数据的深拷贝"); // 抛出错误终止备份
+                const { chat, metadata } = await loadBackupSnapshot(summary.chatKey, summary.timestamp);
+                // 校验和与摘要一起加密，列表读取时可能尚未解锁
+                const opened = await openSummary(summary, { required: true });
+                const status = await checkBackupIntegrity({ ...opened, chat, metadata });
+                if (status === INTEGRITY_STATUS.DAMAGED) {
+                    problems.push({ summary, reason: '校验和不一致' });
+                } else if (status === INTEGRITY_STATUS.OK) {
+                    okCount++;
+                } else {
+                    unverifiedCount++;
+                }
+            } catch (error) {
+                console.error(`[聊天自动备份] 校验备份 [${summary.chatKey}, ${summary.timestamp}] 时无法读取:`, error);
+                problems.push({ summary, reason: `无法读取: ${error.message}` });
+            }
+            await new Promise(resolve => setTimeout(resolve, 0)); // 让出主线程
+        }
+    } finally {
+        toastr.clear(notice);
+    }
+
+    console.log(`[聊天自动备份] 校验完成: 正常 ${okCount}, 无校验和 ${unverifiedCount}, 异常 ${problems.length}`);
+    const rows = problems.map(({ summary, reason }) => {
+        const date = new Date(summary.timestamp).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'medium' });
+        return `<tr><td>${escapeHtml(summary.entityName || '未知实体')} - ${escapeHtml(summary.chatName || '未知聊天')}</td><td>${date}</td><td>${escapeHtml(reason)}</td></tr>`;
+    });
+    await callGenericPopup(
+        `<div class="backup_prune_preview">
+            <p>共 ${summaries.length} 个备份：正常 ${okCount} 个${unverifiedCount ? `，无校验和 (旧版备份) ${unverifiedCount} 个` : ''}，异常 ${problems.length} 个。</p>
+            ${problems.length ? `
+            <table>
+                <thead><tr><th>聊天</th><th>备份时间</th><th>问题</th></tr></thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+            <p>异常的备份在恢复或导出时需要额外确认，建议在确认无用后删除。</p>` : ''}
+        </div>`,
+        POPUP_TYPE.TEXT,
+        '',
+        { wide: true, allowVerticalScrolling: true },
+    );
+}
+
+// --- 恢复、导出、删除的交互确认 (列表和查看器共用) ---
+// 让用户选择恢复方式并执行恢复
+async function promptRestoreBackup(backup) {
+    const choice = await callGenericPopup(
+        `<p>确定要恢复 "${escapeHtml(backup.entityName)} - ${escapeHtml(backup.chatName)}" 的备份吗？</p>
+        <p><b>恢复到新聊天</b>：选中对应的角色/群组，并创建一个新的聊天来载入备份内容，当前聊天不受影响。</p>
+        <p><b>覆盖原聊天</b>：打开备份对应的原聊天并用备份内容替换它。覆盖前会自动为原聊天当前状态保存一个受保护的快照，可随时撤销。</p>
+        <p><b>部分恢复</b>：只恢复选定范围的消息，可追加或插入到当前聊天，或从第 N 条截断后新建聊天。</p>
+        <p><b>恢复到其他角色/群组</b>：选择其他角色或群组，并把备份中的说话者映射到其中的角色，恢复到新聊天。</p>`,
+        POPUP_TYPE.TEXT,
+        '',
+        {
+            okButton: '恢复到新聊天',
+            cancelButton: '取消',
+            customButtons: [
+                { text: '覆盖原聊天', result: RESTORE_CHOICE.OVERWRITE },
+                { text: '部分恢复…', result: RESTORE_CHOICE.PARTIAL },
+                { text: '恢复到…', result: RESTORE_CHOICE.OTHER_ENTITY },
+            ],
+        },
+    );
+    if (!choice) {
+        return false;
+    }
+    if (choice === RESTORE_CHOICE.PARTIAL) {
+        return promptPartialRestore(backup);
+    }
+    if (choice === RESTORE_CHOICE.OTHER_ENTITY) {
+        return promptRestoreToOtherEntity(backup);
+    }
+    return restoreBackup(backup, { mode: choice === RESTORE_CHOICE.OVERWRITE ? 'overwrite' : 'new' });
+}
+
+// 让用户选择导出内容并执行导出
+async function promptExportBackup(chatKey, timestamp) {
+    const choice = await callGenericPopup(
+        '<p>请选择导出内容：</p>',
+        POPUP_TYPE.TEXT,
+        '',
+        {
+            okButton: '导出此备份',
+            cancelButton: '取消',
+            customButtons: [
+                { text: '导出此聊天的全部备份', result: EXPORT_CHOICE.CHAT },
+                { text: '导出为 .jsonl 聊天文件', result: EXPORT_CHOICE.JSONL },
+            ],
+        },
+    );
+    if (!choice) {
+        return false;
+    }
+    if (choice === EXPORT_CHOICE.JSONL) {
+        return exportBackupAsChatJsonl(chatKey, timestamp);
+    }
+    return exportBackupArchive(choice === EXPORT_CHOICE.CHAT ? 'chat' : 'backup', chatKey, timestamp);
+}
+
+// 删除前的确认
+function confirmDeleteBackup(entityName, chatName, date) {
+    return confirm(`确定要永久删除这个备份吗？\n\n实体: ${entityName}\n聊天: ${chatName}\n时间: ${date}\n\n此操作无法撤销！`);
+}
+
+// --- 部分恢复 ---
+// 将备份中 [start, end] 范围内的消息插入到当前聊天的 position 位置 (position 等于聊天长度时即为追加)
+// 插入前会为当前聊天保存受保护的快照；消息对象 (含滑动备选和 extra 字段) 原样深拷贝
+async function insertBackupMessages(backup, start, end, position) {
+    const context = getContext();
+    if (!context.chat || !getCurrentChatKey()) {
+        toastr.error('请先打开一个聊天', '聊天自动备份');
+        return false;
+    }
+    if (getCurrentChatKey() !== backup.chatKey) {
+        logDebug(`部分恢复的目标聊天 (${getCurrentChatKey()}) 与备份来源 (${backup.chatKey}) 不同`);
+    }
+
+    if (context.chat.length > 0) {
+        const snapshotSaved = await performForcedBackup({ trigger: 'pre-restore', protected: true });
+        if (!snapshotSaved) {
+            toastr.error('无法保存修改前的安全快照，已取消恢复', '聊天自动备份');
+            return false;
+        }
+    }
+
+    const messages = structuredClone(backup.chat.slice(start, end + 1));
+    logDebug(`将备份消息 #${start}-#${end} (${messages.length} 条) 插入到当前聊天位置 ${position}`);
+    context.chat.splice(position, 0, ...messages);
+
+    await printMessages();
+    scrollChatToBottom();
+    await saveChatConditional();
+    await updateBackupsList();
+
+    toastr.success(`已恢复 ${messages.length} 条消息到当前聊天`, '聊天自动备份');
+    return true;
+}
+
+// 让用户选择消息范围和恢复方式，然后执行部分恢复
+async function promptPartialRestore(backup) {
+    if (!(await ensureBackupIntegrity(backup, '恢复'))) {
+        return false;
+    }
+    const lastIndex = backup.chat.length - 1;
+    if (lastIndex < 0) {
+        toastr.warning('此备份没有消息', '聊天自动备份');
+        return false;
+    }
+    const currentLength = getContext().chat?.length ?? 0;
+
+    const $form = $(`
+        <div class="backup_partial_restore">
+            <p>从备份 "${escapeHtml(backup.entityName)} - ${escapeHtml(backup.chatName)}" 中选择消息范围 (消息编号 0-${lastIndex}，与查看器中的 # 编号一致)：</p>
+            <div class="backup_partial_row">
+                <label>起始 #</label>
+                <input type="number" class="text_pole backup_partial_start" min="0" max="${lastIndex}" value="0">
+                <label>结束 #</label>
+                <input type="number" class="text_pole backup_partial_end" min="0" max="${lastIndex}" value="${lastIndex}">
+            </div>
+            <div class="backup_partial_row">
+                <label>恢复方式</label>
+                <select class="text_pole backup_partial_mode">
+                    <option value="branch">新建聊天 (只包含所选范围，可从第 N 条截断)</option>
+                    <option value="append">追加到当前聊天末尾</option>
+                    <option value="insert">插入到当前聊天的指定位置</option>
+                </select>
+            </div>
+            <div class="backup_partial_row">
+                <label>插入位置 (0-${currentLength})</label>
+                <input type="number" class="text_pole backup_partial_position" min="0" max="${currentLength}" value="${currentLength}">
+            </div>
+        </div>
+    `);
+
+    const confirmed = await callGenericPopup($form, POPUP_TYPE.TEXT, '', { okButton: '恢复', cancelButton: '取消' });
+    if (!confirmed) {
+        return false;
+    }
+
+    const start = parseInt($form.find('.backup_partial_start').val(), 10);
+    const end = parseInt($form.find('.backup_partial_end').val(), 10);
+    const mode = $form.find('.backup_partial_mode').val();
+    const position = parseInt($form.find('.backup_partial_position').val(), 10);
+
+    if (isNaN(start) || isNaN(end) || start < 0 || end > lastIndex || start > end) {
+        toastr.error(`无效的消息范围: ${start}-${end}`, '聊天自动备份');
+        return false;
+    }
+
+    if (mode === 'branch') {
+        logDebug(`部分恢复: 以消息 #${start}-#${end} 新建聊天`);
+        // 已在打开部分恢复前校验过完整备份，截取后的内容与校验和不再对应
+        return restoreBackup({ ...backup, chat: backup.chat.slice(start, end + 1) }, { mode: 'new', skipIntegrityCheck: true });
+    }
+    if (mode === 'append') {
+        return insertBackupMessages(backup, start, end, getContext().chat?.length ?? 0);
+    }
+    const latestLength = getContext().chat?.length ?? 0;
+    if (isNaN(position) || position < 0 || position > latestLength) {
+        toastr.error(`无效的插入位置: ${position}`, '聊天自动备份');
+        return false;
+    }
+    return insertBackupMessages(backup, start, end, position);
+}
+
+// --- 恢复到其他角色/群组 ---
+// 把备份恢复到用户选择的角色或群组的新聊天中 (如克隆或更新后的角色卡，或在群组中重放单人聊天)
+// 备份中的每个说话者可映射为用户或目标中的某个角色，消息的 name / is_user (群组中还有头像) 随之改写
+
+// 说话者的标识 (同名的用户和角色视为不同的说话者)
+function getSpeakerKey(message) {
+    return `${message.is_user ? 'user' : 'char'}:${message.name || ''}`;
+}
+
+// 统计备份中的说话者 (系统消息不参与映射)
+function getBackupSpeakers(chat) {
+    const speakers = new Map();
+    chat.forEach(message => {
+        if (!message || message.is_system) {
+            return;
+        }
+        const key = getSpeakerKey(message);
+        if (!speakers.has(key)) {
+            speakers.set(key, { key, name: message.name || (message.is_user ? '用户' : '角色'), isUser: !!message.is_user, count: 0 });
+        }
+        speakers.get(key).count++;
+    });
+    return [...speakers.values()];
+}
+
+// 目标角色/群组中可以发言的角色 [{ avatar, name }]
+function getRestoreTargetMembers(target) {
+    if (target.isGroup) {
+        const group = getContext().groups?.find(g => g.id === target.entityId);
+        return (group?.members || [])
+            .map(avatar => characters.find(character => character.avatar === avatar))
+            .filter(Boolean)
+            .map(character => ({ avatar: character.avatar, name: character.name }));
+    }
+    const character = characters.find(c => c.avatar === target.entityId);
+    return character ? [{ avatar: character.avatar, name: character.name }] : [];
+}
+
+// 说话者的默认映射: 用户保持为用户，角色优先映射到同名的角色，否则映射到目标的第一个角色
+function getDefaultSpeakerMapping(speaker, members) {
+    if (speaker.isUser || members.length === 0) {
+        return 'user';
+    }
+    return (members.find(member => member.name === speaker.name) || members[0]).avatar;
+}
+
+// 按映射改写消息的说话者，返回新的聊天数组 (不修改原备份)
+// mapping: speakerKey -> 'user' 或目标角色的头像文件名
+function remapBackupSpeakers(chat, mapping, members, target, userName) {
+    const membersByAvatar = new Map(members.map(member => [member.avatar, member]));
+    return chat.map(message => {
+        const copy = structuredClone(message);
+        const choice = message?.is_system ? null : mapping.get(getSpeakerKey(message));
+        if (!choice) {
+            return copy;
+        }
+        if (choice === 'user') {
+            if (!message.is_user) {
+                copy.is_user = true;
+                copy.name = userName;
+                delete copy.original_avatar;
+                delete copy.force_avatar;
+            }
+            return copy;
+        }
+        const member = membersByAvatar.get(choice);
+        copy.is_user = false;
+        copy.name = member.name;
+        if (target.isGroup) {
+            // 群组聊天按 original_avatar 区分发言的成员
+            copy.original_avatar = member.avatar;
+            copy.force_avatar = getThumbnailUrl('avatar', member.avatar);
+        } else {
+            delete copy.original_avatar;
+            delete copy.force_avatar;
+        }
+        return copy;
+    });
+}
+
+// 解析目标选择框的值 ('char:头像' 或 'group:群组ID')
+function parseRestoreTarget(value) {
+    const match = String(value || '').match(/^(char|group):(.+)$/);
+    return match ? { isGroup: match[1] === 'group', entityId: match[2] } : null;
+}
+
+// 选择目标角色/群组和说话者映射后恢复到新聊天
+async function promptRestoreToOtherEntity(backup) {
+    if (!(await ensureBackupIntegrity(backup, '恢复'))) {
+        return false;
+    }
+    const context = getContext();
+    const userName = context.name1 || '用户';
+    const speakers = getBackupSpeakers(backup.chat || []);
+    const groups = context.groups || [];
+    if (characters.length === 0) {
+        toastr.warning('没有可恢复到的角色或群组', '聊天自动备份');
+        return false;
+    }
+
+    const characterOptions = characters
+        .map(character => `<option value="char:${escapeHtml(character.avatar)}">${escapeHtml(character.name)} (${escapeHtml(character.avatar)})</option>`)
+        .join('');
+    const groupOptions = groups
+        .map(group => `<option value="group:${escapeHtml(group.id)}">${escapeHtml(group.name)}</option>`)
+        .join('');
+    const $form = $(`
+        <div class="backup_restore_target">
+            <h3>恢复到其他角色/群组</h3>
+            <p>将 "${escapeHtml(backup.entityName)} - ${escapeHtml(backup.chatName)}" 的备份恢复到所选角色或群组的新聊天中。</p>
+            <div class="backup_partial_row">
+                <label for="backup_restore_target_select">目标</label>
+                <select id="backup_restore_target_select" class="text_pole">
+                    <optgroup label="角色">${characterOptions}</optgroup>
+                    ${groupOptions ? `<optgroup label="群组">${groupOptions}</optgroup>` : ''}
+                </select>
+            </div>
+            <table class="backup_restore_speakers">
+                <thead><tr><th>备份中的说话者</th><th>消息数</th><th>恢复为</th></tr></thead>
+                <tbody></tbody>
+            </table>
+            <div class="backup_restore_target_warning backup_storage_warning"></div>
+        </div>
+    `);
+
+    // 备份原来的角色/群组默认选中 (若仍存在)
+    const parsedKey = parseChatKey(backup.chatKey, backup);
+    if (parsedKey?.entityId) {
+        $form.find('#backup_restore_target_select').val(`${parsedKey.isGroup ? 'group' : 'char'}:${parsedKey.entityId}`);
+    }
+    if (!$form.find('#backup_restore_target_select').val()) {
+        $form.find('#backup_restore_target_select option').first().prop('selected', true);
+    }
+
+    let members = [];
+    const updateWarning = () => {
+        const renamed = [];
+        $form.find('.backup_restore_speaker').each(function() {
+            const speaker = speakers.find(item => item.key === $(this).data('speaker'));
+            const choice = $(this).val();
+            const newName = choice === 'user' ? (speaker.isUser ? speaker.name : userName) : members.find(member => member.avatar === choice)?.name;
+            if (newName !== speaker.name || (choice === 'user') !== speaker.isUser) {
+                renamed.push(`${escapeHtml(speaker.name)} → ${escapeHtml(newName)}${choice === 'user' ? ' (用户)' : ''}`);
+            }
+        });
+        $form.find('.backup_restore_target_warning').html(renamed.length
+            ? `目标中的名称与备份中的说话者不同，以下消息的说话者将被改写: ${renamed.join('、')}`
+            : '');
+    };
+    const renderSpeakers = () => {
+        const target = parseRestoreTarget($form.find('#backup_restore_target_select').val());
+        members = target ? getRestoreTargetMembers(target) : [];
+        const memberOptions = members
+            .map(member => `<option value="${escapeHtml(member.avatar)}">${escapeHtml(member.name)}</option>`)
+            .join('');
+        const rows = speakers.map(speaker => `
+            <tr>
+                <td>${escapeHtml(speaker.name)}${speaker.isUser ? ' (用户)' : ''}</td>
+                <td>${speaker.count}</td>
+                <td>
+                    <select class="backup_restore_speaker text_pole" data-speaker="${escapeHtml(speaker.key)}">
+                        <option value="user">用户 (${escapeHtml(userName)})</option>
+                        ${memberOptions}
+                    </select>
+                </td>
+            </tr>`).join('');
+        $form.find('.backup_restore_speakers tbody').html(rows || '<tr><td colspan="3">备份中没有可映射的消息</td></tr>');
+        $form.find('.backup_restore_speaker').each(function() {
+            const speaker = speakers.find(item => item.key === $(this).data('speaker'));
+            $(this).val(getDefaultSpeakerMapping(speaker, members));
+        });
+        updateWarning();
+    };
+    $form.on('change', '#backup_restore_target_select', renderSpeakers);
+    $form.on('change', '.backup_restore_speaker', updateWarning);
+    renderSpeakers();
+
+    const confirmed = await callGenericPopup($form, POPUP_TYPE.CONFIRM, '', { okButton: '恢复到新聊天', cancelButton: '取消', wide: true });
+    if (!confirmed) {
+        return false;
+    }
+
+    const target = parseRestoreTarget($form.find('#backup_restore_target_select').val());
+    if (!target || members.length === 0) {
+        toastr.error('所选的角色/群组不存在或没有成员', '聊天自动备份');
+        return false;
+    }
+    const mapping = new Map();
+    $form.find('.backup_restore_speaker').each(function() {
+        mapping.set(String($(this).data('speaker')), $(this).val());
+    });
+
+    const chat = remapBackupSpeakers(backup.chat || [], mapping, members, target, userName);
+    logDebug(`恢复到其他${target.isGroup ? '群组' : '角色'}: ${target.entityId}`, Object.fromEntries(mapping));
+    // 改写后的内容与备份的校验和不再一致，完整性已在上面检查过
+    return restoreBackup({ ...backup, chat }, { mode: 'new', target, skipIntegrityCheck: true });
+}
+
+// --- 备份查看器 ---
+const VIEWER_PAGE_SIZE = 50;
+// 查看器内操作按钮的结果 (对应弹窗按钮)
+const VIEWER_ACTION = { CLOSE: 1, RESTORE: 2, EXPORT: 3, DELETE: 4 };
+
+// HTML 转义
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// 格式化消息的发送时间 (send_date 可能是时间戳或 SillyTavern 的可读日期字符串)
+function formatMessageDate(sendDate) {
+    if (sendDate === undefined || sendDate === null || sendDate === '') {
+        return '';
+    }
+    const date = new Date(sendDate);
+    return isNaN(date.getTime()) ? String(sendDate) : date.toLocaleString();
+}
+
+// 渲染单条消息 (发言者、时间、正文、推理、滑动备选)
+function renderViewerMessage(message, index) {
+    const roleClass = message.is_system ? 'system' : (message.is_user ? 'user' : 'character');
+    const reasoning = message.extra?.reasoning;
+    const swipes = Array.isArray(message.swipes) ? message.swipes : [];
+
+    let html = `
+        <div class="backup_viewer_message ${roleClass}">
+            <div class="backup_viewer_message_header">
+                <span class="backup_viewer_index">#${index}</span>
+                <span class="backup_viewer_name">${escapeHtml(message.name || (message.is_user ? '用户' : '角色'))}</span>
+                ${message.is_system ? '<span class="backup_badge">系统</span>' : ''}
+                <span class="backup_viewer_date">${escapeHtml(formatMessageDate(message.send_date))}</span>
+            </div>`;
+    if (reasoning) {
+        html += `
+            <details class="backup_viewer_reasoning">
+                <summary>推理过程</summary>
+                <div class="backup_viewer_text">${escapeHtml(reasoning)}</div>
+            </details>`;
+    }
+    html += `<div class="backup_viewer_text">${escapeHtml(message.mes)}</div>`;
+    if (swipes.length > 1) {
+        const swipeItems = swipes.map((swipe, swipeIndex) => `
+            <div class="backup_viewer_swipe${swipeIndex === message.swipe_id ? ' current' : ''}">
+                <div class="backup_viewer_swipe_label">备选 ${swipeIndex + 1}${swipeIndex === message.swipe_id ? ' (当前)' : ''}</div>
+                <div class="backup_viewer_text">${escapeHtml(swipe)}</div>
+            </div>`).join('');
+        html += `
+            <details class="backup_viewer_swipes">
+                <summary>滑动备选 (${swipes.length})</summary>
+                ${swipeItems}
+            </details>`;
+    }
+    html += '</div>';
+    return html;
+}
+
+// 构建带分页的只读查看器内容
+// focusIndex: 打开时定位并高亮的消息序号 (默认显示最新的消息)
+function buildBackupViewer(backup, focusIndex = null) {
+    const chat = backup.chat || [];
+    const pageCount = Math.max(1, Math.ceil(chat.length / VIEWER_PAGE_SIZE));
+    const hasFocus = Number.isInteger(focusIndex) && focusIndex >= 0 && focusIndex < chat.length;
+    let currentPage = hasFocus ? Math.floor(focusIndex / VIEWER_PAGE_SIZE) : pageCount - 1;
+
+    const date = new Date(backup.timestamp).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'medium' });
+    const $viewer = $(`
+        <div class="backup_viewer">
+            <div class="backup_viewer_header">
+                <h3>${escapeHtml(backup.entityName)} - ${escapeHtml(backup.chatName)}</h3>
+                <div class="backup_details">
+                    <span class="backup_date">${date}</span>
+                    <span class="backup_mesid">消息数: ${chat.length}</span>
+                </div>
+            </div>
+            <div class="backup_viewer_pager">
+                <button class="menu_button backup_viewer_first" title="第一页">&laquo;</button>
+                <button class="menu_button backup_viewer_prev" title="上一页">&lsaquo;</button>
+                <span class="backup_viewer_page"></span>
+                <button class="menu_button backup_viewer_next" title="下一页">&rsaquo;</button>
+                <button class="menu_button backup_viewer_last" title="最后一页">&raquo;</button>
+            </div>
+            <div class="backup_viewer_messages"></div>
+        </div>
+    `);
+
+    const renderPage = () => {
+        const start = currentPage * VIEWER_PAGE_SIZE;
+        const pageMessages = chat.slice(start, start + VIEWER_PAGE_SIZE);
+        const html = pageMessages.map((message, offset) => renderViewerMessage(message, start + offset)).join('');
+        $viewer.find('.backup_viewer_messages').html(html || '<div class="backup_empty_notice">此备份没有消息</div>').scrollTop(0);
+        $viewer.find('.backup_viewer_page').text(`第 ${currentPage + 1} / ${pageCount} 页 (消息 ${start}-${Math.max(start, start + pageMessages.length - 1)})`);
+        $viewer.find('.backup_viewer_first, .backup_viewer_prev').prop('disabled', currentPage === 0);
+        $viewer.find('.backup_viewer_next, .backup_viewer_last').prop('disabled', currentPage === pageCount - 1);
+        if (hasFocus && focusIndex >= start && focusIndex < start + pageMessages.length) {
+            const focused = $viewer.find('.backup_viewer_message').eq(focusIndex - start).addClass('focused');
+            // 等待弹窗插入文档后再滚动
+            setTimeout(() => focused[0]?.scrollIntoView({ block: 'center' }), 100);
+        }
+    };
+
+    $viewer.on('click', '.backup_viewer_first', () => { currentPage = 0; renderPage(); });
+    $viewer.on('click', '.backup_viewer_prev', () => { currentPage = Math.max(0, currentPage - 1); renderPage(); });
+    $viewer.on('click', '.backup_viewer_next', () => { currentPage = Math.min(pageCount - 1, currentPage + 1); renderPage(); });
+    $viewer.on('click', '.backup_viewer_last', () => { currentPage = pageCount - 1; renderPage(); });
+
+    renderPage();
+    return $viewer;
+}
+
+// 打开备份查看器，并处理在查看器中选择的恢复/导出/删除操作
+async function openBackupViewer(chatKey, timestamp, focusIndex = null) {
+    const backup = await getFullBackup(chatKey, timestamp);
+    if (!backup) {
+        toastr.error('找不到指定的备份', '聊天自动备份');
+        return;
+    }
+
+    const action = await callGenericPopup(
+        buildBackupViewer(backup, focusIndex),
+        POPUP_TYPE.TEXT,
+        '',
+        {
+            okButton: '关闭',
+            cancelButton: false,
+            wide: true,
+            large: true,
+            allowVerticalScrolling: true,
+            customButtons: [
+                { text: '恢复', result: VIEWER_ACTION.RESTORE },
+                { text: '导出', result: VIEWER_ACTION.EXPORT },
+                { text: '删除', result: VIEWER_ACTION.DELETE, classes: ['danger_button'] },
+            ],
+        },
+    );
+
+    if (action === VIEWER_ACTION.RESTORE) {
+        await promptRestoreBackup(backup);
+    } else if (action === VIEWER_ACTION.EXPORT) {
+        await promptExportBackup(chatKey, timestamp);
+    } else if (action === VIEWER_ACTION.DELETE) {
+        const date = new Date(timestamp).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'medium' });
+        if (confirmDeleteBackup(backup.entityName, backup.chatName, date)) {
+            await deleteBackup(chatKey, timestamp);
+            toastr.success('备份已删除');
+            await updateBackupsList();
+        }
+    }
+}
+
+// --- 版本时间轴 ---
+const TIMELINE_PREVIEW_COUNT = 6;     // 预览中显示的最后几条消息
+const TIMELINE_LOAD_DELAY = 150;      // 拖动滑块停止后多久再加载预览 (毫秒)
+const TIMELINE_ACTION = { RESTORE: 2, VIEW: 3 };
+
+// 打开某个聊天的版本时间轴: 每个备份是时间轴上的一个点，用滑块在各版本间切换并预览对话末尾
+async function openBackupTimeline(chatKey) {
+    const summaries = (await getBackupSummariesForChat(chatKey)).sort((a, b) => a.timestamp - b.timestamp);
+    if (summaries.length === 0) {
+        toastr.warning('此聊天没有备份', '聊天自动备份');
+        return;
+    }
+
+    const formatDate = (ts) => new Date(ts).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'medium' });
+    const first = summaries[0].timestamp;
+    const span = summaries[summaries.length - 1].timestamp - first;
+    const points = summaries.map((summary, index) => {
+        const position = span > 0 ? ((summary.timestamp - first) / span) * 100 : 50;
+        const title = `${formatDate(summary.timestamp)} · ${summary.messageCount ?? summary.lastMessageId + 1} 条消息 · ${getTriggerLabel(summary.trigger)}`;
+        return `<span class="backup_timeline_point trigger_${escapeHtml(summary.trigger || 'auto')}${summary.pinned ? ' pinned' : ''}" style="left: ${position}%;" data-index="${index}" title="${escapeHtml(title)}"></span>`;
+    }).join('');
+
+    const latest = summaries[summaries.length - 1];
+    const $timeline = $(`
+        <div class="backup_timeline">
+            <div class="backup_viewer_header">
+                <h3>${escapeHtml(latest.entityName)} - ${escapeHtml(latest.chatName)}</h3>
+            </div>
+            <div class="backup_timeline_axis">${points}</div>
+            <div class="backup_timeline_range">
+                <span>${formatDate(first)}</span>
+                <span>${formatDate(latest.timestamp)}</span>
+            </div>
+            <input type="range" class="backup_timeline_slider" min="0" max="${summaries.length - 1}" step="1">
+            <div class="backup_timeline_info backup_details"></div>
+            <div class="backup_timeline_preview backup_viewer_messages"></div>
+        </div>
+    `);
+
+    const previews = new Map(); // timestamp -> { start, messages }
+    let selectedIndex = summaries.length - 1; // 默认选中最新的版本
+    let loadTimer = null;
+
+    const renderPreview = (summary) => {
+        const { start, messages } = previews.get(summary.timestamp);
+        const html = messages.map((message, offset) => renderViewerMessage(message, start + offset)).join('');
+        $timeline.find('.backup_timeline_preview').html(html || '<div class="backup_empty_notice">此备份没有消息</div>');
+    };
+
+    const select = (index) => {
+        selectedIndex = index;
+        const summary = summaries[index];
+        $timeline.find('.backup_timeline_slider').val(index);
+        $timeline.find('.backup_timeline_point').removeClass('selected').eq(index).addClass('selected');
+        $timeline.find('.backup_timeline_info').html(`
+            <span>版本 ${index + 1} / ${summaries.length}</span>
+            <span class="backup_date">${formatDate(summary.timestamp)}</span>
+            <span class="backup_mesid">消息数: ${summary.messageCount ?? summary.lastMessageId + 1}</span>
+            <span class="backup_badge">${escapeHtml(getTriggerLabel(summary.trigger))}</span>
+            ${summary.pinned ? '<span class="backup_pin_icon fa-solid fa-thumbtack" title="已固定"></span>' : ''}
+            ${summary.label ? `<span class="backup_label">${escapeHtml(summary.label)}</span>` : ''}
+        `);
+
+        clearTimeout(loadTimer);
+        if (previews.has(summary.timestamp)) {
+            renderPreview(summary);
+            return;
+        }
+        $timeline.find('.backup_timeline_preview').html('<div class="backup_empty_notice">正在加载...</div>');
+        // 拖动过程中不加载中间经过的版本
+        loadTimer = setTimeout(async () => {
+            try {
+                const { chat } = await loadBackupSnapshot(chatKey, summary.timestamp);
+                const start = Math.max(0, chat.length - TIMELINE_PREVIEW_COUNT);
+                previews.set(summary.timestamp, { start, messages: chat.slice(start) });
+                if (summaries[selectedIndex] === summary) {
+                    renderPreview(summary);
                 }
-             }
-            console.timeEnd('[聊天自动备份] 主线程深拷贝时间 (无Worker)');
+            } catch (error) {
+                console.error(`[聊天自动备份] 加载时间轴预览 [${chatKey}, ${summary.timestamp}] 失败:`, error);
+                if (summaries[selectedIndex] === summary) {
+                    $timeline.find('.backup_timeline_preview').html(`<div class="backup_empty_notice">加载失败: ${escapeHtml(error.message)}</div>`);
+                }
+            }
+        }, TIMELINE_LOAD_DELAY);
+    };
+
+    $timeline.on('input', '.backup_timeline_slider', function() {
+        select(Number(this.value));
+    });
+    $timeline.on('click', '.backup_timeline_point', function() {
+        select(Number($(this).data('index')));
+    });
+    select(selectedIndex);
+
+    const action = await callGenericPopup(
+        $timeline,
+        POPUP_TYPE.TEXT,
+        '',
+        {
+            okButton: '关闭',
+            cancelButton: false,
+            wide: true,
+            large: true,
+            allowVerticalScrolling: true,
+            customButtons: [
+                { text: '恢复此版本', result: TIMELINE_ACTION.RESTORE },
+                { text: '查看完整内容', result: TIMELINE_ACTION.VIEW },
+            ],
+        },
+    );
+    clearTimeout(loadTimer);
+
+    const selected = summaries[selectedIndex];
+    if (action === TIMELINE_ACTION.RESTORE) {
+        const backup = await getFullBackup(chatKey, selected.timestamp);
+        if (!backup) {
+            toastr.error('找不到指定的备份', '聊天自动备份');
+            return;
         }
+        await restoreBackup(backup, { mode: 'new' });
+    } else if (action === TIMELINE_ACTION.VIEW) {
+        await openBackupViewer(chatKey, selected.timestamp);
+    }
+}
 
+// --- 备份比较 ---
+const DIFF_MAX_CELLS = 4000000; // LCS 动态规划表的最大单元数，超出时退化为按位置比较
+const DIFF_CONTEXT_SIZE = 2;    // 差异前后保留显示的相同消息数
 
-        if (!copiedChat) {
-             throw new Error("未能获取有效的聊天数据副本");
+// 消息对齐使用的键 (发言者 + 正文)
+function getMessageAlignKey(message) {
+    return `${message?.is_user ? 1 : 0}|${message?.name ?? ''}|${message?.mes ?? ''}`;
+}
+
+// 计算两个字符串数组的最长公共子序列配对，返回 [[i, j], ...]；规模过大时返回 null
+function computeLcsPairs(a, b) {
+    const n = a.length, m = b.length;
+    if (n * m > DIFF_MAX_CELLS) {
+        return null;
+    }
+    const width = m + 1;
+    const dp = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            dp[i * width + j] = a[i] === b[j]
+                ? dp[(i + 1) * width + j + 1] + 1
+                : Math.max(dp[(i + 1) * width + j], dp[i * width + j + 1]);
         }
+    }
+    const pairs = [];
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) {
+            pairs.push([i, j]);
+            i++;
+            j++;
+        } else if (dp[(i + 1) * width + j] >= dp[i * width + j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return pairs;
+}
 
-        // 3. 构建备份对象
-        const backup = {
-            timestamp: currentTimestamp,
-            chatKey,
-            entityName,
-            chatName,
-            lastMessageId: lastMsgIndex,
-            lastMessagePreview,
-            chat: copiedChat,
-            metadata: copiedMetadata || {}
-        };
+// 对两个序列做对齐: 先去掉公共前后缀，再对中间部分做 LCS
+// 返回按顺序排列的配对 [[i, j], ...]，未出现在配对中的元素即为删除/新增
+function alignSequences(a, b) {
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+        suffix++;
+    }
 
-        // 4. 检查当前聊天是否已有基于最后消息ID的备份 (避免完全相同的备份)
-        const existingBackups = await getBackupsForChat(chatKey); // 获取当前聊天的备份
-
-        // 5. 检查重复并处理 (基于 lastMessageId)
-        const existingBackupIndex = existingBackups.findIndex(b => b.lastMessageId === lastMsgIndex);
-        let needsSave = true;
-
-        if (existingBackupIndex !== -1) {
-             // 如果找到相同 lastMessageId 的备份
-            const existingTimestamp = existingBackups[existingBackupIndex].timestamp;
-            if (backup.timestamp > existingTimestamp) {
-                // 新备份更新，删除旧的同 ID 备份
-                logDebug(`发现具有相同最后消息ID (${lastMsgIndex}) 的旧备份 (时间戳 ${existingTimestamp})，将删除旧备份以便保存新备份 (时间戳 ${backup.timestamp})`);
-                await deleteBackup(chatKey, existingTimestamp);
-                // 注意：不需要从 existingBackups 数组中 splice，因为它不再用于全局清理
-            } else {
-                // 旧备份更新或相同，跳过本次保存
-                logDebug(`发现具有相同最后消息ID (${lastMsgIndex}) 且时间戳更新或相同的备份 (时间戳 ${existingTimestamp} vs ${backup.timestamp})，跳过本次保存`);
-                needsSave = false;
+    const pairs = [];
+    for (let k = 0; k < prefix; k++) {
+        pairs.push([k, k]);
+    }
+    const middlePairs = computeLcsPairs(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix)) || [];
+    middlePairs.forEach(([i, j]) => pairs.push([i + prefix, j + prefix]));
+    for (let k = suffix; k > 0; k--) {
+        pairs.push([a.length - k, b.length - k]);
+    }
+    return pairs;
+}
+
+// 比较两组消息，返回操作列表: { type: 'same' | 'edited' | 'added' | 'removed', leftIndex, rightIndex, left, right }
+function diffChats(leftChat, rightChat) {
+    const pairs = alignSequences(leftChat.map(getMessageAlignKey), rightChat.map(getMessageAlignKey));
+    const ops = [];
+    let i = 0, j = 0;
+
+    const sameSpeaker = (left, right) => !!left?.is_user === !!right?.is_user && (left?.name ?? '') === (right?.name ?? '');
+    const pushRemoved = () => { ops.push({ type: 'removed', leftIndex: i, rightIndex: null, left: leftChat[i], right: null }); i++; };
+    const pushAdded = () => { ops.push({ type: 'added', leftIndex: null, rightIndex: j, left: null, right: rightChat[j] }); j++; };
+
+    // 处理两个配对之间的空隙: 按顺序把同一发言者的删除和新增配成"编辑"，其余作为删除/新增
+    const flushGap = (leftEnd, rightEnd) => {
+        while (i < leftEnd) {
+            let match = j;
+            while (match < rightEnd && !sameSpeaker(leftChat[i], rightChat[match])) {
+                match++;
+            }
+            if (match === rightEnd) {
+                pushRemoved();
+                continue;
             }
+            while (j < match) {
+                pushAdded();
+            }
+            ops.push({ type: 'edited', leftIndex: i, rightIndex: j, left: leftChat[i], right: rightChat[j] });
+            i++;
+            j++;
         }
-
-        if (!needsSave) {
-            logDebug('备份已存在或无需更新 (基于lastMessageId和时间戳比较)，跳过保存和全局清理步骤');
-            return false; // 不需要保存，返回 false
+        while (j < rightEnd) {
+            pushAdded();
         }
+    };
 
-        // 6. 保存新备份到 IndexedDB
-        await saveBackupToDB(backup);
-        logDebug(`新备份已保存: [${chatKey}, ${backup.timestamp}]`);
-
-        // --- 优化后的清理逻辑 ---
-        // 7. 获取所有备份的 *主键* 并限制总数量
-        logDebug(`获取所有备份的主键，以检查是否超出系统限制 (${settings.maxTotalBackups})`);
-        const allBackupKeys = await getAllBackupKeys(); // 调用新函数，只获取键
-
-        if (allBackupKeys.length > settings.maxTotalBackups) {
-            logDebug(`总备份数 (${allBackupKeys.length}) 超出系统限制 (${settings.maxTotalBackups})`);
-
-            // 按时间戳升序排序键 (key[1] 是 timestamp)
-            // 这样最旧的备份的键会排在数组前面
-            allBackupKeys.sort((a, b) => a[1] - b[1]); // a[1] = timestamp, b[1] = timestamp
-
-            const numToDelete = allBackupKeys.length - settings.maxTotalBackups;
-            // 获取数组开头的 numToDelete 个键，这些是需要删除的最旧备份的键
-            const keysToDelete = allBackupKeys.slice(0, numToDelete);
-
-            logDebug(`准备删除 ${keysToDelete.length} 个最旧的备份 (基于键)`);
-
-            // 使用Promise.all并行删除
-            await Promise.all(keysToDelete.map(key => {
-                const oldChatKey = key[0];
-                const oldTimestamp = key[1];
-                logDebug(`删除旧备份 (基于键): chatKey=${oldChatKey}, timestamp=${new Date(oldTimestamp).toLocaleString()}`);
-                // 调用 deleteBackup，它接受 chatKey 和 timestamp
-                return deleteBackup(oldChatKey, oldTimestamp);
-            }));
-            logDebug(`${keysToDelete.length} 个旧备份已删除`);
+    pairs.forEach(([pairLeft, pairRight]) => {
+        flushGap(pairLeft, pairRight);
+        // 正文相同但其他字段 (滑动备选、推理等) 不同的也视为编辑
+        const identical = JSON.stringify(leftChat[i]) === JSON.stringify(rightChat[j]);
+        ops.push({ type: identical ? 'same' : 'edited', leftIndex: i, rightIndex: j, left: leftChat[i], right: rightChat[j] });
+        i++;
+        j++;
+    });
+    flushGap(leftChat.length, rightChat.length);
+    return ops;
+}
+
+// 将文本切分为词: 中日韩字符逐字切分，其余按单词、空白和标点切分
+function tokenizeForDiff(text) {
+    return String(text ?? '').match(/[぀-ヿ㐀-鿿가-힯]|[\p{L}\p{N}_']+|\s+|[^\s\p{L}\p{N}_']/gu) || [];
+}
+
+// 词级差异，返回片段列表 [{ type: 'same' | 'added' | 'removed', text }]
+function diffWords(leftText, rightText) {
+    const leftTokens = tokenizeForDiff(leftText);
+    const rightTokens = tokenizeForDiff(rightText);
+    const pairs = alignSequences(leftTokens, rightTokens);
+    const segments = [];
+    const push = (type, text) => {
+        const last = segments[segments.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
         } else {
-            logDebug(`总备份数 (${allBackupKeys.length}) 未超出限制 (${settings.maxTotalBackups})，无需清理`);
+            segments.push({ type, text });
         }
-        // --- 清理逻辑结束 ---
+    };
 
-        // 8. UI提示
-        if (settings.debug) {
-            // 只有成功保存了新备份才提示
-            toastr.info(`已备份聊天: ${entityName} (${lastMsgIndex + 1}条消息)`, '聊天自动备份');
+    let i = 0, j = 0;
+    pairs.forEach(([pairLeft, pairRight]) => {
+        while (i < pairLeft) push('removed', leftTokens[i++]);
+        while (j < pairRight) push('added', rightTokens[j++]);
+        push('same', leftTokens[i]);
+        i++;
+        j++;
+    });
+    while (i < leftTokens.length) push('removed', leftTokens[i++]);
+    while (j < rightTokens.length) push('added', rightTokens[j++]);
+    return segments;
+}
+
+// 渲染比较结果中的一条消息
+function renderDiffMessage(message, index, bodyHtml, typeClass) {
+    return `
+        <div class="backup_diff_message ${typeClass}">
+            <div class="backup_viewer_message_header">
+                <span class="backup_viewer_index">${index}</span>
+                <span class="backup_viewer_name">${escapeHtml(message.name || (message.is_user ? '用户' : '角色'))}</span>
+                <span class="backup_viewer_date">${escapeHtml(formatMessageDate(message.send_date))}</span>
+            </div>
+            <div class="backup_viewer_text">${bodyHtml}</div>
+        </div>`;
+}
+
+// 渲染比较结果 (只显示差异及其前后少量相同消息，其余相同消息折叠)
+function buildDiffView(ops, leftLabel, rightLabel) {
+    const counts = { added: 0, removed: 0, edited: 0 };
+    ops.forEach(op => {
+        if (op.type !== 'same') {
+            counts[op.type]++;
         }
-        logDebug(`成功完成聊天备份及可能的清理: ${entityName} - ${chatName}`);
+    });
 
-        return true; // 表示备份成功（或已跳过但无错误）
+    const visible = ops.map((op, index) => ops.slice(Math.max(0, index - DIFF_CONTEXT_SIZE), index + DIFF_CONTEXT_SIZE + 1)
+        .some(nearby => nearby.type !== 'same'));
 
-    } catch (error) {
-        console.error('[聊天自动备份] 备份或清理过程中发生严重错误:', error);
-        toastr.error(`备份失败: ${error.message || '未知错误'}`, '聊天自动备份');
-        // 返回 false 表示备份/清理操作失败
-        return false;
-    }
+    let html = '';
+    let hiddenRun = 0;
+    const flushHidden = () => {
+        if (hiddenRun > 0) {
+            html += `<div class="backup_diff_collapsed">… ${hiddenRun} 条相同消息 …</div>`;
+            hiddenRun = 0;
+        }
+    };
+
+    ops.forEach((op, index) => {
+        if (!visible[index]) {
+            hiddenRun++;
+            return;
+        }
+        flushHidden();
+        if (op.type === 'same') {
+            html += renderDiffMessage(op.right, `#${op.leftIndex} → #${op.rightIndex}`, escapeHtml(op.right.mes), 'same');
+        } else if (op.type === 'added') {
+            html += renderDiffMessage(op.right, `+ #${op.rightIndex}`, escapeHtml(op.right.mes), 'added');
+        } else if (op.type === 'removed') {
+            html += renderDiffMessage(op.left, `- #${op.leftIndex}`, escapeHtml(op.left.mes), 'removed');
+        } else {
+            const wordsHtml = diffWords(op.left.mes, op.right.mes).map(segment => {
+                if (segment.type === 'added') return `<ins>${escapeHtml(segment.text)}</ins>`;
+                if (segment.type === 'removed') return `<del>${escapeHtml(segment.text)}</del>`;
+                return escapeHtml(segment.text);
+            }).join('');
+            const sameText = (op.left.mes ?? '') === (op.right.mes ?? '');
+            const note = sameText ? '<div class="backup_diff_note">正文相同，滑动备选、推理或其他字段有变化</div>' : '';
+            html += renderDiffMessage(op.right, `~ #${op.leftIndex} → #${op.rightIndex}`, wordsHtml + note, 'edited');
+        }
+    });
+    flushHidden();
+
+    return `
+        <div class="backup_diff">
+            <div class="backup_viewer_header">
+                <h3>比较: ${escapeHtml(leftLabel)} → ${escapeHtml(rightLabel)}</h3>
+                <div class="backup_details">
+                    <span class="backup_diff_count added">新增 ${counts.added}</span>
+                    <span class="backup_diff_count removed">删除 ${counts.removed}</span>
+                    <span class="backup_diff_count edited">编辑 ${counts.edited}</span>
+                </div>
+            </div>
+            <div class="backup_viewer_messages">
+                ${html || '<div class="backup_empty_notice">两者内容完全相同</div>'}
+            </div>
+        </div>`;
 }
 
-// --- 条件备份函数 (类似 saveChatConditional) ---
-async function performBackupConditional() {
-    if (isBackupInProgress) {
-        logDebug('备份已在进行中，跳过本次请求');
+// 让用户选择比较对象 (当前聊天或同一聊天的另一个备份)，然后显示比较结果
+async function openBackupCompare(chatKey, timestamp) {
+    const formatDate = (ts) => new Date(ts).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'medium' });
+    const otherBackups = (await getBackupSummariesForChat(chatKey))
+        .filter(summary => summary.timestamp !== timestamp)
+        .sort((a, b) => b.timestamp - a.timestamp);
+
+    const options = ['<option value="current">当前聊天</option>']
+        .concat(otherBackups.map(summary => `<option value="${summary.timestamp}">备份 ${formatDate(summary.timestamp)} (${summary.messageCount ?? summary.lastMessageId + 1} 条消息)</option>`))
+        .join('');
+    const $picker = $(`
+        <div>
+            <p>将备份 (${formatDate(timestamp)}) 与以下内容比较：</p>
+            <select class="text_pole backup_compare_target">${options}</select>
+        </div>
+    `);
+    const confirmed = await callGenericPopup($picker, POPUP_TYPE.TEXT, '', { okButton: '比较', cancelButton: '取消' });
+    if (!confirmed) {
         return;
     }
+    const target = $picker.find('.backup_compare_target').val();
 
-    // 获取当前设置，包括防抖延迟，以防在延迟期间被修改
-    const currentSettings = extension_settings[PLUGIN_NAME];
-    if (!currentSettings) {
-        console.error('[聊天自动备份] 无法获取当前设置，取消备份');
+    const backup = await getFullBackup(chatKey, timestamp);
+    if (!backup) {
+        toastr.error('找不到指定的备份', '聊天自动备份');
         return;
     }
 
-    logDebug('执行条件备份 (performBackupConditional)');
-    clearTimeout(backupTimeout); // 取消任何待处理的防抖备份
-    backupTimeout = null;
-
-    isBackupInProgress = true;
-    logDebug('设置备份锁');
-    try {
-        const success = await executeBackupLogic(currentSettings); // 传递设置给核心逻辑
-        if (success) {
-            await updateBackupsList(); // 只有在备份成功或无需备份时才更新列表
+    let leftChat, rightChat, leftLabel, rightLabel;
+    if (target === 'current') {
+        if (getCurrentChatKey() !== chatKey) {
+            toastr.warning('当前打开的聊天不是此备份对应的聊天，比较结果可能没有意义', '聊天自动备份');
         }
-    } catch (error) {
-        console.error('[聊天自动备份] 条件备份执行失败:', error);
-        // 错误已在 executeBackupLogic 中处理和提示
-    } finally {
-        isBackupInProgress = false;
-        logDebug('释放备份锁');
+        leftChat = backup.chat;
+        leftLabel = `备份 ${formatDate(timestamp)}`;
+        rightChat = getContext().chat || [];
+        rightLabel = '当前聊天';
+    } else {
+        const otherTimestamp = parseInt(target, 10);
+        const other = await getFullBackup(chatKey, otherTimestamp);
+        if (!other) {
+            toastr.error('找不到要比较的备份', '聊天自动备份');
+            return;
+        }
+        // 较早的备份放在左侧
+        const [older, newer] = otherTimestamp < timestamp ? [other, backup] : [backup, other];
+        leftChat = older.chat;
+        leftLabel = `备份 ${formatDate(older.timestamp)}`;
+        rightChat = newer.chat;
+        rightLabel = `备份 ${formatDate(newer.timestamp)}`;
     }
-}
 
-// --- 防抖备份函数 (类似 saveChatDebounced) ---
-function performBackupDebounced() {
-    // 获取调用时的上下文和设置
-    const scheduledChatKey = getCurrentChatKey();
-    const currentSettings = extension_settings[PLUGIN_NAME];
-
-    if (!scheduledChatKey) {
-        logDebug('无法获取计划防抖备份时的 ChatKey，取消');
-        clearTimeout(backupTimeout);
-        backupTimeout = null;
-        return;
-    }
-    
-    if (!currentSettings || typeof currentSettings.backupDebounceDelay !== 'number') {
-        console.error('[聊天自动备份] 无法获取有效的防抖延迟设置，取消防抖');
-        clearTimeout(backupTimeout);
-        backupTimeout = null;
-        return;
-    }
-    
-    const delay = currentSettings.backupDebounceDelay; // 使用当前设置的延迟
+    console.time('[聊天自动备份] 比较聊天耗时');
+    const ops = diffChats(leftChat, rightChat);
+    console.timeEnd('[聊天自动备份] 比较聊天耗时');
 
-    logDebug(`计划执行防抖备份 (延迟 ${delay}ms), 针对 ChatKey: ${scheduledChatKey}`);
-    clearTimeout(backupTimeout); // 清除旧的定时器
+    await callGenericPopup(buildDiffView(ops, leftLabel, rightLabel), POPUP_TYPE.TEXT, '', {
+        okButton: '关闭',
+        wide: true,
+        large: true,
+        allowVerticalScrolling: true,
+    });
+}
 
-    backupTimeout = setTimeout(async () => {
-        const currentChatKey = getCurrentChatKey(); // 获取执行时的 ChatKey
+// --- 全文搜索 ---
+const SEARCH_MAX_RESULTS = 200;   // 最多显示的匹配消息数
+const SEARCH_SNIPPET_RADIUS = 80; // 匹配片段前后保留的字符数
+const SEARCH_CONTEXT_LENGTH = 120; // 上下文消息的截取长度
 
-        // 关键: 上下文检查
-        if (currentChatKey !== scheduledChatKey) {
-            logDebug(`上下文已更改 (当前: ${currentChatKey}, 计划时: ${scheduledChatKey})，取消此防抖备份`);
-            backupTimeout = null;
-            return; // 中止备份
-        }
+let searchGeneration = 0; // 每次新搜索递增，用于取消过时的搜索
 
-        logDebug(`执行延迟的备份操作 (来自防抖), ChatKey: ${currentChatKey}`);
-        // 只有上下文匹配时才执行条件备份
-        await performBackupConditional();
-        backupTimeout = null; // 清除定时器 ID
-    }, delay);
+// 实体筛选使用的键 (角色头像/群组ID，旧数据回退到实体名称)
+function getBackupEntityKey(summary) {
+    const parsed = parseChatKey(summary.chatKey, summary);
+    if (parsed?.entityId) {
+        return `${parsed.isGroup ? 'group' : 'char'}:${parsed.entityId}`;
+    }
+    return `name:${summary.entityName || ''}`;
 }
 
-// --- 手动备份 ---
-async function performManualBackup() {
-    console.log('[聊天自动备份] 执行手动备份 (调用条件函数)');
-    await performBackupConditional(); // 手动备份也走条件检查和锁逻辑
-    toastr.success('已手动备份当前聊天', '聊天自动备份');
+// 拆分搜索词 (空白分隔，全部命中才算匹配，不区分大小写)
+function parseSearchTerms(query) {
+    return String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
 }
 
-// --- 恢复逻辑 ---
-async function restoreBackup(backupData) {
-    console.log('[聊天自动备份] 开始恢复备份:', { chatKey: backupData.chatKey, timestamp: backupData.timestamp });
-    const initialContext = getContext(); // 获取初始上下文
-    const isGroup = backupData.chatKey.startsWith('group_');
-
-    // --- 确保下面这行存在且未被注释 ---
-    const entityIdMatch = backupData.chatKey.match(isGroup ? /group_(\w+)_/ : /char_(.+?)_/);
-    // --- 结束确保 ---
+// 截取包含第一个匹配词的片段，并高亮所有匹配词
+function buildSearchSnippet(text, terms) {
+    const source = String(text || '');
+    const lower = source.toLowerCase();
+    const firstHit = Math.max(0, Math.min(...terms.map(term => lower.indexOf(term)).filter(index => index >= 0)));
+    const start = Math.max(0, firstHit - SEARCH_SNIPPET_RADIUS);
+    const end = Math.min(source.length, firstHit + SEARCH_SNIPPET_RADIUS * 2);
+    const snippet = source.substring(start, end);
+
+    const pattern = new RegExp(terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'gi');
+    let html = '';
+    let lastIndex = 0;
+    for (const match of snippet.matchAll(pattern)) {
+        html += escapeHtml(snippet.substring(lastIndex, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        lastIndex = match.index + match[0].length;
+    }
+    html += escapeHtml(snippet.substring(lastIndex));
+    return `${start > 0 ? '…' : ''}${html}${end < source.length ? '…' : ''}`;
+}
 
-    // 现在可以安全地使用 entityIdMatch 了
-    let entityId = entityIdMatch ? entityIdMatch[1] : null;
+// 截断上下文消息
+function truncateSearchContext(message) {
+    if (!message) {
+        return '';
+    }
+    const text = String(message.mes || '');
+    return text.length > SEARCH_CONTEXT_LENGTH ? `${text.substring(0, SEARCH_CONTEXT_LENGTH)}…` : text;
+}
 
-    if (!entityId) {
-        console.error('[聊天自动备份] 无法从备份数据中提取角色/群组ID:', backupData.chatKey);
-        toastr.error('无法识别备份对应的角色/群组ID');
-        return false;
+// 在所有备份中搜索消息正文
+// filters: { query, entityKey, from, to } (from/to 为时间戳，可为 null)
+// 同一聊天的多个备份中内容相同的消息只报告一次，归属于包含它的最新备份
+// 逐个聊天按时间顺序还原增量链，每处理一个备份让出一次主线程，解压在 Worker 中进行
+async function searchBackups(filters, onProgress = null) {
+    const generation = ++searchGeneration;
+    const terms = parseSearchTerms(filters.query);
+    if (terms.length === 0) {
+        return { results: [], truncated: false, cancelled: false };
     }
 
-    logDebug(`恢复目标: ${isGroup ? '群组' : '角色'} ID/标识: ${entityId}`);
+    let summaries = (await getAllBackupSummaries()).filter(summary => !filters.entityKey || getBackupEntityKey(summary) === filters.entityKey);
+    // 加密的备份需要先解锁，否则跳过 (避免每个备份都弹窗)
+    if (summaries.some(summary => summary.encrypted) && isEncryptionLocked() && !(await unlockEncryption())) {
+        summaries = summaries.filter(summary => !summary.encrypted);
+        toastr.info('未解锁加密，已跳过加密的备份', '聊天自动备份');
+    }
+    const byChat = new Map();
+    summaries.forEach(summary => {
+        if (!byChat.has(summary.chatKey)) {
+            byChat.set(summary.chatKey, []);
+        }
+        byChat.get(summary.chatKey).push(summary);
+    });
 
-    try {
-        // 1. 切换角色/群组
-        try {
-            if (isGroup) {
-                logDebug(`切换到群组: ${entityId}`);
-                await select_group_chats(entityId); // 使用导入的函数
-            } else {
-                // entityId 现在是字符索引的字符串形式，例如 "0", "1", "5"
-                const charIndex = parseInt(entityId, 10); // 将字符串索引转换为数字
+    const inRange = summary => (filters.from === null || summary.timestamp >= filters.from) && (filters.to === null || summary.timestamp <= filters.to);
+    const total = summaries.filter(inRange).length;
+    let scanned = 0;
+    const results = [];
+
+    for (const [chatKey, chatSummaries] of byChat) {
+        const summariesByTimestamp = new Map(chatSummaries.map(summary => [summary.timestamp, summary]));
+
+        // 需要还原的备份: 日期范围内的备份及其增量链上的所有祖先
+        const needed = new Set();
+        chatSummaries.filter(inRange).forEach(summary => {
+            let current = summary;
+            while (current && !needed.has(current.timestamp)) {
+                needed.add(current.timestamp);
+                current = current.storageType === 'delta' ? summariesByTimestamp.get(current.parentTimestamp) : null;
+            }
+        });
 
-                // 添加验证，确保转换成功且索引有效
-                if (isNaN(charIndex)) {
-                    throw new Error(`无法从 chatKey 解析出有效的角色索引: ${entityId}`);
+        const snapshots = new Map();
+        const matches = new Map();
+        const ordered = chatSummaries.filter(summary => needed.has(summary.timestamp)).sort((a, b) => a.timestamp - b.timestamp);
+        for (const summary of ordered) {
+            try {
+                const record = await getBackupRecord(chatKey, summary.timestamp);
+                if (!record) {
+                    continue;
                 }
-                // 检查索引是否在当前角色列表范围内 (需要能访问到 characters 数组)
-                if (charIndex < 0 || charIndex >= characters.length) {
-                     throw new Error(`角色索引 ${charIndex} 无效或超出当前角色列表范围 (列表长度: ${characters.length})`);
+                const body = await decodeBackupBody(record.payload);
+                let chat;
+                if (summary.storageType === 'delta') {
+                    const parentChat = snapshots.get(summary.parentTimestamp);
+                    if (!parentChat) {
+                        throw new Error('增量链不完整');
+                    }
+                    chat = applyChatDelta(parentChat.slice(), body.delta);
+                } else {
+                    chat = body.chat || [];
                 }
+                snapshots.set(summary.timestamp, chat);
 
-                logDebug(`切换到角色索引: ${charIndex}`);
-                // 直接使用数字索引调用 selectCharacterById
-                await selectCharacterById(charIndex, { switchMenu: false });
+                if (inRange(summary)) {
+                    chat.forEach((message, index) => {
+                        const text = String(message?.mes || '').toLowerCase();
+                        if (!terms.every(term => text.includes(term))) {
+                            return;
+                        }
+                        const matchKey = `${index}\u0000${message.name}\u0000${message.mes}`;
+                        const previous = matches.get(matchKey);
+                        matches.set(matchKey, {
+                            summary,
+                            index,
+                            message,
+                            before: chat[index - 1],
+                            after: chat[index + 1],
+                            occurrences: (previous?.occurrences || 0) + 1,
+                        });
+                    });
+                    scanned++;
+                }
+            } catch (error) {
+                console.error(`[聊天自动备份] 搜索时读取备份 [${chatKey}, ${summary.timestamp}] 失败:`, error);
             }
-            // 等待状态更新
-            await new Promise(resolve => setTimeout(resolve, 500));
-        } catch (switchError) {
-            console.error('[聊天自动备份] 切换角色/群组失败:', switchError);
-            const errorMsg = switchError instanceof Error ? switchError.message : String(switchError);
-            toastr.error(`切换到 ${isGroup ? '群组' : '角色'} ${entityId} 失败: ${errorMsg}`);
-            return false;
+
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (generation !== searchGeneration) {
+                logDebug('搜索已被新的搜索取代');
+                return { results: [], truncated: false, cancelled: true };
+            }
+            onProgress?.(scanned, total);
         }
+        results.push(...matches.values());
+    }
 
-        // 2. 创建新聊天
-        try {
-            logDebug('创建新的聊天');
-            await doNewChat({ deleteCurrentChat: false }); // 使用导入的函数
-            await new Promise(resolve => setTimeout(resolve, 800));
-        } catch (newChatError) {
-            console.error('[聊天自动备份] 创建新聊天失败:', newChatError);
-            toastr.error('创建新聊天失败');
-            return false;
+    results.sort((a, b) => b.summary.timestamp - a.summary.timestamp || a.index - b.index);
+    logDebug(`搜索 "${filters.query}" 完成，扫描 ${scanned} 个备份，匹配 ${results.length} 条消息`);
+    return {
+        results: results.slice(0, SEARCH_MAX_RESULTS),
+        truncated: results.length > SEARCH_MAX_RESULTS,
+        cancelled: false,
+    };
+}
+
+// 用备份摘要刷新实体筛选下拉框 (保留当前选择)
+function updateSearchEntityOptions(summaries) {
+    const $select = $('#chat_backup_search_entity');
+    if (!$select.length) {
+        return;
+    }
+    const selected = $select.val();
+    const entities = new Map();
+    summaries.forEach(summary => {
+        const key = getBackupEntityKey(summary);
+        if (!entities.has(key)) {
+            entities.set(key, `${summary.entityType === 'group' ? '[群组] ' : ''}${summary.entityName || '未知实体'}`);
         }
+    });
+    const options = [...entities].sort((a, b) => a[1].localeCompare(b[1]))
+        .map(([key, name]) => `<option value="${escapeHtml(key)}">${escapeHtml(name)}</option>`);
+    $select.html(`<option value="">全部角色/群组</option>${options.join('')}`);
+    $select.val(entities.has(selected) ? selected : '');
+}
 
-        // 3. 重新获取上下文并验证
-        const newContext = getContext();
-        logDebug('重新获取上下文完成');
-        const currentRestoredKey = getCurrentChatKey(); // 获取基于新上下文的 key
-        const expectedIndex = isGroup ? -1 : parseInt(entityId, 10); // 期望的索引（数字）
+// 读取搜索表单并显示结果
+async function runBackupSearch() {
+    const $results = $('#chat_backup_search_results');
+    const query = String($('#chat_backup_search_query').val() || '').trim();
+    if (!query) {
+        searchGeneration++; // 取消进行中的搜索
+        $results.empty().hide();
+        return;
+    }
 
-        // --- 修改开始：将当前索引也转换为数字 ---
-        const currentIndex = isGroup ? -1 : parseInt(newContext.characterId, 10); // 当前的索引（转换为数字）
-        // --- 修改结束 ---
+    const fromValue = $('#chat_backup_search_from').val();
+    const toValue = $('#chat_backup_search_to').val();
+    const filters = {
+        query,
+        entityKey: $('#chat_backup_search_entity').val() || '',
+        from: fromValue ? new Date(`${fromValue}T00:00:00`).getTime() : null,
+        to: toValue ? new Date(`${toValue}T23:59:59.999`).getTime() : null,
+    };
 
-        if (isGroup && (!currentRestoredKey || !currentRestoredKey.includes(entityId))) {
-             console.error(`[聊天自动备份] 切换或创建新聊天后群组上下文不匹配！预期包含 ${entityId}，实际为 ${currentRestoredKey}`);
-             toastr.error('恢复后未能正确设置群组聊天上下文');
-             return false;
-        // --- 修改开始：修正比较逻辑 ---
-        } else if (!isGroup && (isNaN(currentIndex) || currentIndex !== expectedIndex)) { // 确保 currentIndex 是有效数字，然后比较数字
-             // 在错误日志中也包含原始类型，便于调试
-             console.error(`[聊天自动备份] 切换或创建新聊天后角色上下文不匹配！预期索引 ${expectedIndex}，实际为 ${currentIndex} (原始类型: ${typeof newContext.characterId})`);
-             toastr.error('恢复后未能正确设置角色聊天上下文');
-             return false;
-        // --- 修改结束 ---
-        }
-        logDebug(`上下文已确认: ${currentRestoredKey}`); // 现在这行应该可以被执行了
+    $results.show().html('<div class="backup_empty_notice">正在搜索...</div>');
+    const { results, truncated, cancelled } = await searchBackups(filters, (scanned, total) => {
+        $results.find('.backup_empty_notice').text(`正在搜索... (${scanned}/${total})`);
+    });
+    if (cancelled) {
+        return;
+    }
+
+    if (results.length === 0) {
+        $results.html('<div class="backup_empty_notice">没有找到匹配的消息</div>');
+        return;
+    }
+
+    const terms = parseSearchTerms(query);
+    const html = results.map(({ summary, index, message, before, after, occurrences }) => {
+        const date = new Date(summary.timestamp).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'medium' });
+        const attributes = `data-timestamp="${summary.timestamp}" data-key="${escapeHtml(summary.chatKey)}"`;
+        return `
+            <div class="backup_search_result">
+                <div class="backup_header">
+                    <span class="backup_entity">${escapeHtml(summary.entityName || '未知实体')}</span>
+                    <span class="backup_chat">${escapeHtml(summary.chatName || '未知聊天')}</span>
+                    <span class="backup_date">${date}</span>
+                    ${occurrences > 1 ? `<span class="backup_badge" title="该聊天的多个备份都包含此消息">${occurrences} 个备份</span>` : ''}
+                </div>
+                ${before ? `<div class="backup_search_context">${escapeHtml(before.name || '')}: ${escapeHtml(truncateSearchContext(before))}</div>` : ''}
+                <div class="backup_search_match"><span class="backup_viewer_index">#${index}</span> <b>${escapeHtml(message.name || '')}</b>: ${buildSearchSnippet(message.mes, terms)}</div>
+                ${after ? `<div class="backup_search_context">${escapeHtml(after.name || '')}: ${escapeHtml(truncateSearchContext(after))}</div>` : ''}
+                <div class="backup_search_actions">
+                    <button class="menu_button backup_view" title="在查看器中定位到此消息" ${attributes} data-index="${index}">查看</button>
+                    <button class="menu_button backup_restore" title="恢复此备份" ${attributes}>恢复</button>
+                </div>
+            </div>`;
+    });
+    const notice = truncated ? `<div class="backup_empty_notice">结果过多，仅显示最新的 ${SEARCH_MAX_RESULTS} 条，请缩小搜索范围</div>` : '';
+    $results.html(`<div class="backup_search_summary">找到 ${results.length}${truncated ? '+' : ''} 条匹配的消息</div>${html.join('')}${notice}`);
+}
+
+// --- 斜杠命令 ---
+// 备份引用: 小于此值的数字视为当前聊天备份列表中的序号 (0 为最新)，否则视为时间戳
+const BACKUP_INDEX_LIMIT = 1000000;
+
+// 将备份摘要转换为斜杠命令返回的精简对象
+function toCommandBackupInfo(summary, index) {
+    return {
+        index,
+        timestamp: summary.timestamp,
+        date: new Date(summary.timestamp).toISOString(),
+        chatKey: summary.chatKey,
+        entityName: summary.entityName,
+        chatName: summary.chatName,
+        messageCount: summary.messageCount ?? summary.lastMessageId + 1,
+        label: summary.label || '',
+        pinned: !!summary.pinned,
+        note: summary.note || '',
+        tags: summary.tags || [],
+        trigger: summary.trigger || 'auto',
+        protected: !!summary.protected,
+    };
+}
+
+// 获取当前聊天的备份摘要 (按时间从新到旧)
+async function getCurrentChatBackupsSorted() {
+    const chatKey = getCurrentChatKey();
+    if (!chatKey) {
+        throw new Error('请先打开一个聊天');
+    }
+    const summaries = await getBackupSummariesForChat(chatKey);
+    return summaries.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+// 将序号或时间戳解析为当前聊天的备份摘要；未指定时返回最新的备份
+async function resolveBackupReference(reference) {
+    const summaries = await getCurrentChatBackupsSorted();
+    const text = String(reference ?? '').trim();
+    if (summaries.length === 0) {
+        throw new Error('当前聊天没有备份');
+    }
+    if (text === '') {
+        return summaries[0];
+    }
+    const value = Number(text);
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`无效的备份序号或时间戳: ${text}`);
+    }
+    const summary = value < BACKUP_INDEX_LIMIT ? summaries[value] : summaries.find(s => s.timestamp === value);
+    if (!summary) {
+        throw new Error(`找不到备份: ${text}`);
+    }
+    return summary;
+}
+
+// 斜杠命令执行出错时提示并返回空字符串
+function handleSlashCommandError(commandName, error) {
+    console.error(`[聊天自动备份] /${commandName} 执行失败:`, error);
+    toastr.error(`/${commandName}: ${error.message}`, '聊天自动备份');
+    return '';
+}
+
+function registerSlashCommands() {
+    const backupReferenceArgument = () => SlashCommandArgument.fromProps({
+        description: '备份序号 (当前聊天的备份从新到旧，0 为最新) 或备份时间戳，省略时为最新备份',
+        typeList: [ARGUMENT_TYPE.NUMBER],
+        isRequired: false,
+    });
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'backup-create',
+        helpString: '立即为当前聊天创建一个手动备份，可附带名称，pin=true 时固定该备份。指定名称或固定时即使内容与最新备份相同也会保存。返回新备份的 JSON 信息，未保存时返回空字符串。',
+        returns: '新备份的 JSON 信息',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'pin',
+                description: '固定备份 (不会被自动清理)',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                enumList: ['true', 'false'],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '备份名称 (可选)',
+                typeList: [ARGUMENT_TYPE.STRING],
+                isRequired: false,
+            }),
+        ],
+        callback: async (args, label) => {
+            try {
+                const backupLabel = String(label ?? '').trim();
+                const pinned = String(args.pin) === 'true';
+                const saved = await performBackupConditional({
+                    trigger: 'manual',
+                    label: backupLabel,
+                    pinned,
+                    // 带名称或固定的备份不能被去重跳过，否则名称和固定标记会丢失
+                    force: !!backupLabel || pinned,
+                });
+                if (!saved) {
+                    return '';
+                }
+                // 按备份逻辑返回的键查找，排队执行期间可能已有其他备份或切换了聊天
+                const summaries = (await getBackupSummariesForChat(saved.chatKey)).sort((a, b) => b.timestamp - a.timestamp);
+                const index = summaries.findIndex(summary => summary.timestamp === saved.timestamp);
+                return index === -1 ? '' : JSON.stringify(toCommandBackupInfo(summaries[index], index));
+            } catch (error) {
+                return handleSlashCommandError('backup-create', error);
+            }
+        },
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'backup-list',
+        helpString: '列出备份。默认只列出当前聊天的备份 (从新到旧)，scope=all 时列出全部备份。返回 JSON 数组。',
+        returns: '备份信息的 JSON 数组',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'scope',
+                description: '列出范围',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'chat',
+                enumList: ['chat', 'all'],
+            }),
+        ],
+        callback: async (args) => {
+            try {
+                const summaries = args.scope === 'all'
+                    ? (await getAllBackupSummaries()).sort((a, b) => b.timestamp - a.timestamp)
+                    : await getCurrentChatBackupsSorted();
+                return JSON.stringify(summaries.map(toCommandBackupInfo));
+            } catch (error) {
+                return handleSlashCommandError('backup-list', error);
+            }
+        },
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'backup-restore',
+        helpString: '恢复当前聊天的一个备份。mode=new 恢复到新聊天 (默认)，mode=overwrite 覆盖原聊天 (覆盖前自动保存受保护快照)。成功返回 true。',
+        returns: 'true 或 false',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'mode',
+                description: '恢复方式',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'new',
+                enumList: ['new', 'overwrite'],
+            }),
+        ],
+        unnamedArgumentList: [backupReferenceArgument()],
+        callback: async (args, reference) => {
+            try {
+                const summary = await resolveBackupReference(reference);
+                const backup = await getFullBackup(summary.chatKey, summary.timestamp);
+                if (!backup) {
+                    throw new Error('无法读取备份内容');
+                }
+                const success = await restoreBackup(backup, { mode: args.mode === 'overwrite' ? 'overwrite' : 'new' });
+                return String(!!success);
+            } catch (error) {
+                handleSlashCommandError('backup-restore', error);
+                return 'false';
+            }
+        },
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'backup-delete',
+        helpString: '删除当前聊天的一个备份，必须指定序号或时间戳。固定或受保护的备份需要 force=true 才能删除。成功返回 true。',
+        returns: 'true 或 false',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'force',
+                description: '允许删除固定或受保护的备份',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                enumList: ['true', 'false'],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: '备份序号 (当前聊天的备份从新到旧，0 为最新) 或备份时间戳',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+                isRequired: true,
+            }),
+        ],
+        callback: async (args, reference) => {
+            try {
+                // 删除不可撤销，不接受省略引用时的 "最新备份"
+                if (String(reference ?? '').trim() === '') {
+                    throw new Error('请指定要删除的备份序号或时间戳');
+                }
+                const summary = await resolveBackupReference(reference);
+                if ((summary.pinned || summary.protected) && String(args.force) !== 'true') {
+                    throw new Error(`备份 ${summary.timestamp} 已${summary.pinned ? '固定' : '受保护'}，如确需删除请使用 force=true`);
+                }
+                await deleteBackup(summary.chatKey, summary.timestamp);
+                await updateBackupsList();
+                return 'true';
+            } catch (error) {
+                handleSlashCommandError('backup-delete', error);
+                return 'false';
+            }
+        },
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'backup-export',
+        helpString: '导出备份。format=archive 导出单个备份存档 (默认)，format=chat 导出当前聊天的全部备份，format=all 导出全部备份，format=jsonl 导出为 SillyTavern 聊天文件。成功返回 true。',
+        returns: 'true 或 false',
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'format',
+                description: '导出格式/范围',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'archive',
+                enumList: ['archive', 'chat', 'all', 'jsonl'],
+            }),
+        ],
+        unnamedArgumentList: [backupReferenceArgument()],
+        callback: async (args, reference) => {
+            try {
+                const format = args.format || 'archive';
+                if (format === 'all') {
+                    return String(await exportBackupArchive('all'));
+                }
+                const summary = await resolveBackupReference(reference);
+                if (format === 'jsonl') {
+                    return String(await exportBackupAsChatJsonl(summary.chatKey, summary.timestamp));
+                }
+                return String(await exportBackupArchive(format === 'chat' ? 'chat' : 'backup', summary.chatKey, summary.timestamp));
+            } catch (error) {
+                handleSlashCommandError('backup-export', error);
+                return 'false';
+            }
+        },
+    }));
 
-        // 4. 恢复聊天内容
-        // ... (这部分及之后的代码应该保持不变) ...
-        logDebug('开始恢复聊天消息, 数量:', backupData.chat.length);
-        if (!newContext.chat) { /*...*/ return false; }
-        newContext.chat.length = 0;
-        const copiedChatData = structuredClone(backupData.chat);
-        copiedChatData.forEach(msg => newContext.chat.push(msg));
-        logDebug(`聊天内容已恢复到 newContext.chat, 长度: ${newContext.chat.length}`);
+    console.log('[聊天自动备份] 斜杠命令已注册');
+}
 
-        // 5. 恢复元数据
-        // ...
-         if (backupData.metadata) {
-            logDebug('恢复聊天元数据:', backupData.metadata);
-            updateChatMetadata(structuredClone(backupData.metadata), true);
-            logDebug('聊天元数据已应用');
-        } else {
-            logDebug('无元数据需要恢复');
-        }
+// --- 存储空间 ---
+const STORAGE_WARNING_RATIO = 0.9; // 浏览器存储用量超过配额的此比例时发出警告
 
+let storageWarningShown = false; // 每次会话只警告一次
 
-        // 6. 显式更新 UI
-        // ...
-        logDebug('开始更新聊天界面UI');
-        await printMessages();
-        scrollChatToBottom();
-        logDebug('聊天界面UI已更新');
+// 获取浏览器存储用量估计 (不支持时返回 null)
+async function getStorageEstimate() {
+    if (!navigator.storage?.estimate) {
+        return null;
+    }
+    try {
+        return await navigator.storage.estimate();
+    } catch (error) {
+        console.error('[聊天自动备份] 获取存储用量失败:', error);
+        return null;
+    }
+}
 
-        // 7. 保存恢复的聊天状态
-        // ...
-        logDebug('保存恢复后的聊天状态');
-        await saveChatConditional();
-        logDebug('聊天状态已保存');
+// 申请持久化存储，返回是否已持久化
+async function requestPersistentStorage() {
+    if (!navigator.storage?.persist) {
+        logDebug('浏览器不支持持久化存储');
+        return false;
+    }
+    if (await navigator.storage.persisted()) {
+        return true;
+    }
+    const granted = await navigator.storage.persist();
+    console.log(`[聊天自动备份] 持久化存储申请${granted ? '已获准' : '被拒绝'}`);
+    return granted;
+}
 
-        // 8. 触发其他相关事件
-        eventSource.emit(event_types.CHAT_CHANGED, newContext.chatId);
+// 存储用量接近浏览器配额时提示用户
+async function checkStorageQuota() {
+    const estimate = await getStorageEstimate();
+    if (!estimate?.quota || storageWarningShown) {
+        return;
+    }
+    const ratio = estimate.usage / estimate.quota;
+    if (ratio >= STORAGE_WARNING_RATIO) {
+        storageWarningShown = true;
+        toastr.warning(`浏览器存储已使用 ${Math.round(ratio * 100)}% (${formatBytes(estimate.usage)} / ${formatBytes(estimate.quota)})，空间不足时备份会失败。建议导出并删除旧备份，或设置存储预算`, '聊天自动备份', { timeOut: 10000 });
+    }
+}
 
+// 渲染存储用量: 备份总占用、各聊天占用、浏览器配额和持久化状态
+async function updateStorageInfo(summaries) {
+    const $container = $('#chat_backup_storage');
+    if (!$container.length) {
+        return;
+    }
 
-        console.log('[聊天自动备份] 聊天恢复成功');
-        toastr.success('聊天记录已成功恢复到新聊天');
-        return true;
+    const settings = extension_settings[PLUGIN_NAME];
+    const chats = new Map();
+    let storedTotal = 0;
+    let rawTotal = 0;
+    summaries.forEach(summary => {
+        const stored = getBackupStoredSize(summary);
+        storedTotal += stored;
+        rawTotal += summary.byteSize || 0;
+        if (!chats.has(summary.chatKey)) {
+            chats.set(summary.chatKey, { entityName: summary.entityName, chatName: summary.chatName, count: 0, stored: 0 });
+        }
+        const chatInfo = chats.get(summary.chatKey);
+        chatInfo.count++;
+        chatInfo.stored += stored;
+    });
 
-    } catch (error) {
-        // ... (最终错误处理不变) ...
-        console.error('[聊天自动备份] 恢复聊天过程中发生严重错误:', error);
-        toastr.error(`恢复失败: ${error.message || '未知错误'}`, '聊天自动备份');
-        return false;
+    // 共享存储中的记录被多个备份共用，只计一次，不计入任何单个聊天
+    const sharedUsage = await getSharedStoreUsage();
+    storedTotal += sharedUsage;
+
+    const estimate = await getStorageEstimate();
+    const persisted = navigator.storage?.persisted ? await navigator.storage.persisted().catch(() => false) : false;
+    const budget = settings.storageBudgetMB > 0 ? settings.storageBudgetMB * 1024 * 1024 : 0;
+
+    const chatRows = [...chats.values()].sort((a, b) => b.stored - a.stored).map(chatInfo => `
+        <tr>
+            <td>${escapeHtml(chatInfo.entityName || '未知实体')} - ${escapeHtml(chatInfo.chatName || '未知聊天')}</td>
+            <td>${chatInfo.count}</td>
+            <td>${formatBytes(chatInfo.stored)}</td>
+        </tr>`).join('');
+
+    let quotaText = '浏览器未提供存储用量信息';
+    if (estimate?.quota) {
+        const ratio = estimate.usage / estimate.quota;
+        quotaText = `浏览器存储: ${formatBytes(estimate.usage)} / ${formatBytes(estimate.quota)} (${(ratio * 100).toFixed(1)}%)`;
+        if (ratio >= STORAGE_WARNING_RATIO) {
+            quotaText = `<span class="backup_storage_warning">${quotaText}，空间即将用尽</span>`;
+        }
     }
+
+    $container.html(`
+        <div class="backup_details">
+            <span>备份占用: ${formatBytes(storedTotal)} (原始 ${formatBytes(rawTotal)}，共 ${summaries.length} 个)</span>
+            ${sharedUsage ? `<span title="多个备份共用的消息和角色卡/群组快照，引用它的备份全部删除后才会释放">其中共享存储: ${formatBytes(sharedUsage)}</span>` : ''}
+            ${budget ? `<span>预算: ${formatBytes(budget)} (${Math.round(storedTotal / budget * 100)}%)</span>` : ''}
+            <span>${quotaText}</span>
+            <span>持久化存储: ${persisted ? '已启用' : '未启用'}</span>
+            ${persisted || !navigator.storage?.persist ? '' : '<button id="chat_backup_request_persist" class="menu_button" title="申请持久化存储，避免浏览器在空间不足时清除备份">申请持久化</button>'}
+        </div>
+        ${chats.size ? `
+        <details class="backup_storage_chats">
+            <summary>各聊天占用</summary>
+            <table>
+                <thead><tr><th>聊天</th><th>备份数</th><th>占用 (不含共享存储)</th></tr></thead>
+                <tbody>${chatRows}</tbody>
+            </table>
+        </details>` : ''}
+    `);
 }
 
 // --- UI 更新 ---
+// 备份列表分组的展开状态 (key 为实体或 chatKey，未记录的分组使用默认状态)
+const backupGroupOpenState = new Map();
+
+// 渲染单个备份条目
+function renderBackupItem(backup) {
+    // 使用更可靠和本地化的格式
+    const formattedDate = new Date(backup.timestamp).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'medium' });
+    // 摘要可能来自导入的存档，插入 HTML 的值一律转义
+    const entityName = escapeHtml(backup.entityName || '未知实体');
+    const chatName = escapeHtml(backup.chatName || '未知聊天');
+    const preview = escapeHtml(backup.lastMessagePreview);
+    const keyAttrs = `data-timestamp="${escapeHtml(backup.timestamp)}" data-key="${escapeHtml(backup.chatKey)}"`;
+
+    return $(`
+        <div class="backup_item${backup.pinned ? ' pinned' : ''}">
+            <div class="backup_info">
+                <div class="backup_header">
+                    ${backup.pinned ? '<span class="backup_pin_icon fa-solid fa-thumbtack" title="已固定，不会被自动清理"></span>' : ''}
+                    <span class="backup_entity" title="${entityName}">${entityName}</span>
+                    <span class="backup_chat" title="${chatName}">${chatName}</span>
+                    ${backup.protected ? `<span class="backup_badge" title="受保护的备份不会被自动清理">${escapeHtml(getTriggerLabel(backup.trigger))}</span>` : ''}
+                    ${backup.triggerEvent ? `<span class="backup_badge" title="${backup.trigger === 'pre-delete' ? '在此操作之前自动保存' : '在此操作之前固定'}">${escapeHtml(PRE_DELETE_EVENT_LABELS[backup.triggerEvent] || backup.triggerEvent)}</span>` : ''}
+                    ${backup.label ? `<span class="backup_label" title="${escapeHtml(backup.label)}">${escapeHtml(backup.label)}</span>` : ''}
+                </div>
+                 <div class="backup_details">
+                    <span class="backup_mesid">消息数: ${escapeHtml(backup.messageCount ?? backup.lastMessageId + 1)}</span>
+                    <span class="backup_date">${formattedDate}</span>
+                    <span class="backup_size" title="${backup.storageType === 'shared' ? '存储大小 (不含共享消息) / 原始大小' : '存储大小 / 原始大小'}">${formatBytes(backup.storedSize ?? backup.byteSize)} / ${formatBytes(backup.byteSize)}</span>
+                </div>
+                ${backup.note ? `<div class="backup_note">${escapeHtml(backup.note)}</div>` : ''}
+                ${backup.tags?.length ? `<div class="backup_tags">${backup.tags.map(tag => `<span class="backup_tag">${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+                ${backup.encrypted && !backup.lastMessagePreview
+                    ? `<div class="backup_preview"><i class="fa-solid fa-lock"></i> 已加密${backup.sealed ? ' (解锁后显示名称、备注、标签和预览)' : ''}</div>`
+                    : `<div class="backup_preview" title="${preview}">预览: ${preview}...</div>`}
+            </div>
+            <div class="backup_actions">
+                <button class="menu_button backup_pin fa-solid fa-thumbtack${backup.pinned ? ' active' : ''}" title="${backup.pinned ? '取消固定' : '固定此备份 (不会被自动清理)'}" ${keyAttrs}></button>
+                <button class="menu_button backup_edit" title="编辑名称、备注和标签" ${keyAttrs}>编辑</button>
+                <button class="menu_button backup_view" title="查看此备份的完整内容" ${keyAttrs}>查看</button>
+                <button class="menu_button backup_compare" title="与当前聊天或同一聊天的其他备份比较" ${keyAttrs}>比较</button>
+                <button class="menu_button backup_restore" title="恢复此备份到新聊天" ${keyAttrs}>恢复</button>
+                <button class="menu_button backup_export" title="导出此备份" ${keyAttrs}>导出</button>
+                <button class="menu_button danger_button backup_delete" title="删除此备份" ${keyAttrs}>删除</button>
+            </div>
+        </div>
+    `);
+}
+
+// 创建可折叠的分组，记住用户的展开/折叠操作
+function createBackupGroup(className, groupKey, defaultOpen, summaryHtml) {
+    const stateKey = `${className}:${groupKey}`;
+    const open = backupGroupOpenState.has(stateKey) ? backupGroupOpenState.get(stateKey) : defaultOpen;
+    const $group = $(`<details class="${className}"${open ? ' open' : ''}><summary>${summaryHtml}</summary></details>`);
+    // toggle 事件不冒泡，直接绑定在元素上
+    $group.on('toggle', function() {
+        backupGroupOpenState.set(stateKey, this.open);
+    });
+    return $group;
+}
+
 async function updateBackupsList() {
     console.log('[聊天自动备份] 开始更新备份列表UI');
     const backupsContainer = $('#chat_backup_list');
@@ -795,43 +5540,53 @@ async function updateBackupsList() {
     backupsContainer.html('<div class="backup_empty_notice">正在加载备份...</div>');
 
     try {
-        const allBackups = await getAllBackups();
+        const summaries = await getAllBackupSummaries(); // 列表只需要摘要
         backupsContainer.empty(); // 清空
+        updateSearchEntityOptions(summaries);
+        updateStorageInfo(summaries).catch(error => console.error('[聊天自动备份] 更新存储用量失败:', error));
 
+        const pinnedOnly = $('#chat_backup_filter_pinned').prop('checked');
+        const allBackups = pinnedOnly ? summaries.filter(summary => summary.pinned) : summaries;
         if (allBackups.length === 0) {
-            backupsContainer.append('<div class="backup_empty_notice">暂无保存的备份</div>');
+            backupsContainer.append(`<div class="backup_empty_notice">${pinnedOnly ? '暂无固定的备份' : '暂无保存的备份'}</div>`);
             return;
         }
 
-        // 按时间降序排序
+        // 按时间降序排序后按角色/群组和聊天分组 (分组按各自最新备份的时间排列)
         allBackups.sort((a, b) => b.timestamp - a.timestamp);
         logDebug(`渲染 ${allBackups.length} 个备份`);
-
+        const entityGroups = new Map(); // entityKey -> { entityName, isGroup, chats: Map(chatKey -> 备份摘要数组) }
         allBackups.forEach(backup => {
-            const date = new Date(backup.timestamp);
-            // 使用更可靠和本地化的格式
-            const formattedDate = date.toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'medium' });
-
-            const backupItem = $(`
-                <div class="backup_item">
-                    <div class="backup_info">
-                        <div class="backup_header">
-                            <span class="backup_entity" title="${backup.entityName}">${backup.entityName || '未知实体'}</span>
-                            <span class="backup_chat" title="${backup.chatName}">${backup.chatName || '未知聊天'}</span>
-                        </div>
-                         <div class="backup_details">
-                            <span class="backup_mesid">消息数: ${backup.lastMessageId + 1}</span>
-                            <span class="backup_date">${formattedDate}</span>
-                        </div>
-                        <div class="backup_preview" title="${backup.lastMessagePreview}">预览: ${backup.lastMessagePreview}...</div>
-                    </div>
-                    <div class="backup_actions">
-                        <button class="menu_button backup_restore" title="恢复此备份到新聊天" data-timestamp="${backup.timestamp}" data-key="${backup.chatKey}">恢复</button>
-                        <button class="menu_button danger_button backup_delete" title="删除此备份" data-timestamp="${backup.timestamp}" data-key="${backup.chatKey}">删除</button>
-                    </div>
-                </div>
-            `);
-            backupsContainer.append(backupItem);
+            const entityKey = getBackupEntityKey(backup);
+            if (!entityGroups.has(entityKey)) {
+                entityGroups.set(entityKey, { entityName: backup.entityName, isGroup: backup.entityType === 'group', chats: new Map() });
+            }
+            const chats = entityGroups.get(entityKey).chats;
+            if (!chats.has(backup.chatKey)) {
+                chats.set(backup.chatKey, []);
+            }
+            chats.get(backup.chatKey).push(backup);
+        });
+
+        // 默认展开所有角色/群组，只展开当前聊天的备份
+        const currentChatKey = getCurrentChatKey();
+        entityGroups.forEach((group, entityKey) => {
+            const backupCount = [...group.chats.values()].reduce((sum, backups) => sum + backups.length, 0);
+            const $entityGroup = createBackupGroup('backup_group', entityKey, true, `
+                <span class="fa-solid ${group.isGroup ? 'fa-users' : 'fa-user'}"></span>
+                <span class="backup_entity">${escapeHtml(group.entityName || '未知实体')}</span>
+                <span class="backup_group_count">${group.chats.size} 个聊天，${backupCount} 个备份</span>`);
+
+            group.chats.forEach((backups, chatKey) => {
+                const latestDate = new Date(backups[0].timestamp).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' });
+                const $chatGroup = createBackupGroup('backup_chat_group', chatKey, chatKey === currentChatKey, `
+                    <span class="backup_chat">${escapeHtml(backups[0].chatName || '未知聊天')}</span>
+                    <span class="backup_group_count">${backups.length} 个备份，最新 ${latestDate}</span>
+                    <button class="menu_button backup_open_timeline" title="在时间轴上浏览此聊天的各个版本" data-key="${escapeHtml(chatKey)}">时间轴</button>`);
+                backups.forEach(backup => $chatGroup.append(renderBackupItem(backup)));
+                $entityGroup.append($chatGroup);
+            });
+            backupsContainer.append($entityGroup);
         });
 
         console.log('[聊天自动备份] 备份列表渲染完成');
@@ -841,6 +5596,90 @@ async function updateBackupsList() {
     }
 }
 
+// 将逗号分隔的标签文本整理为去重后的标签数组
+function parseBackupTags(text) {
+    const tags = String(text || '').split(/[,，]/).map(tag => tag.trim()).filter(Boolean);
+    return [...new Set(tags)];
+}
+
+// 编辑备份的名称、备注、标签和固定状态
+async function promptEditBackup(chatKey, timestamp) {
+    let summary = (await getBackupSummariesForChat(chatKey)).find(item => item.timestamp === timestamp);
+    if (!summary) {
+        toastr.error('找不到指定的备份', '聊天自动备份');
+        return false;
+    }
+    // 名称、备注和标签已加密且未解锁时先请求密码
+    summary = await openSummary(summary, { required: true });
+
+    const $form = $(`
+        <div class="backup_edit_form">
+            <h3>编辑备份</h3>
+            <label for="backup_edit_label">名称</label>
+            <input type="text" id="backup_edit_label" class="text_pole" maxlength="100">
+            <label for="backup_edit_note">备注</label>
+            <textarea id="backup_edit_note" class="text_pole" rows="4"></textarea>
+            <label for="backup_edit_tags">标签 (用逗号分隔)</label>
+            <input type="text" id="backup_edit_tags" class="text_pole">
+            <label class="checkbox_label">
+                <input type="checkbox" id="backup_edit_pinned">
+                <span>固定 (不会被自动清理，也不计入最大备份数)</span>
+            </label>
+        </div>
+    `);
+    $form.find('#backup_edit_label').val(summary.label || '');
+    $form.find('#backup_edit_note').val(summary.note || '');
+    $form.find('#backup_edit_tags').val((summary.tags || []).join(', '));
+    $form.find('#backup_edit_pinned').prop('checked', !!summary.pinned);
+
+    const confirmed = await callGenericPopup($form, POPUP_TYPE.CONFIRM, '', { okButton: '保存', cancelButton: '取消' });
+    if (!confirmed) {
+        return false;
+    }
+
+    await updateBackupSummary(chatKey, timestamp, {
+        label: String($form.find('#backup_edit_label').val() || '').trim(),
+        note: String($form.find('#backup_edit_note').val() || '').trim(),
+        tags: parseBackupTags($form.find('#backup_edit_tags').val()),
+        pinned: $form.find('#backup_edit_pinned').prop('checked'),
+    });
+    toastr.success('备份信息已更新', '聊天自动备份');
+    return true;
+}
+
+// 备份触发来源的显示名称
+function getTriggerLabel(trigger) {
+    const labels = {
+        'auto': '自动',
+        'manual': '手动',
+        'pre-restore': '恢复前快照',
+        'interval': '定时',
+        'pre-delete': '删除前快照',
+    };
+    return labels[trigger] || trigger || '自动';
+}
+
+// 将设置值同步到设置界面控件
+function applySettingsToUI(settings) {
+    updateEncryptionUI();
+    $('#chat_backup_debug_toggle').prop('checked', settings.debug);
+    $('#chat_backup_debounce_delay').val(settings.backupDebounceDelay);
+    $('#chat_backup_max_total').val(settings.maxTotalBackups);
+    $('#chat_backup_min_per_chat').val(settings.minBackupsPerChat);
+    $('#chat_backup_max_per_chat').val(settings.perChatBackupLimit);
+    $('#chat_backup_max_age').val(settings.maxBackupAgeDays);
+    $('#chat_backup_thinning').prop('checked', settings.retentionThinning);
+    $('#chat_backup_thin_all').val(settings.thinKeepAllMinutes);
+    $('#chat_backup_thin_hourly').val(settings.thinHourlyHours);
+    $('#chat_backup_thin_daily').val(settings.thinDailyDays);
+    $('#chat_backup_storage_budget').val(settings.storageBudgetMB);
+    $('#chat_backup_persist_storage').prop('checked', settings.persistStorage);
+    $('#chat_backup_interval').val(settings.intervalBackupMinutes);
+    $('#chat_backup_mode').val(settings.backupMode);
+    $('#chat_backup_delta_interval').val(settings.deltaBaseInterval);
+    $('#chat_backup_compression').val(settings.compression);
+}
+
 // --- 初始化与事件绑定 ---
 jQuery(async () => {
     console.log('[聊天自动备份] 插件加载中...');
@@ -858,9 +5697,12 @@ jQuery(async () => {
             const workerCode = `
                 // Worker Scope
                 ${deepCopyLogicString} // 注入深拷贝函数
+                ${byteSizeLogicString} // 注入字节大小估算函数
+                ${compressionLogicString} // 注入压缩/解压函数
+                ${checksumLogicString} // 注入校验和函数
 
-                self.onmessage = function(e) {
-                    const { id, payload } = e.data;
+                self.onmessage = async function(e) {
+                    const { id, action = 'copy', payload } = e.data;
                     // console.log('[Worker] Received message with ID:', id);
                     if (!payload) {
                          // console.error('[Worker] Invalid payload received');
@@ -868,13 +5710,25 @@ jQuery(async () => {
                          return;
                     }
                     try {
+                        if (action === 'compress') {
+                            const compressed = await compressJson(payload.data, payload.format);
+                            self.postMessage({ id, result: compressed }, [compressed.buffer]);
+                            return;
+                        }
+                        if (action === 'decompress') {
+                            const data = await decompressJson(payload.buffer, payload.format);
+                            self.postMessage({ id, result: data });
+                            return;
+                        }
                         const copiedChat = payload.chat ? deepCopy(payload.chat) : null;
                         const copiedMetadata = payload.metadata ? deepCopy(payload.metadata) : null;
+                        const byteSize = calculateByteSize({ chat: copiedChat, metadata: copiedMetadata || {} });
+                        const checksum = await calculateChecksum({ chat: copiedChat, metadata: copiedMetadata || {} });
                         // console.log('[Worker] Deep copy successful for ID:', id);
-                        self.postMessage({ id, result: { chat: copiedChat, metadata: copiedMetadata } });
+                        self.postMessage({ id, result: { chat: copiedChat, metadata: copiedMetadata, byteSize, checksum } });
                     } catch (error) {
                         // console.error('[Worker] Error during deep copy for ID:', id, error);
-                        self.postMessage({ id, error: error.message || 'Worker deep copy failed' });
+                        self.postMessage({ id, error: error.message || ('Worker ' + action + ' failed') });
                     }
                 };
             `;
@@ -940,22 +5794,209 @@ jQuery(async () => {
             <div>
                 <label style="display: inline-block; min-width: 120px;">系统最大备份数:</label>
                 <input type="number" id="chat_backup_max_total" value="${settings.maxTotalBackups}" 
-                    min="1" max="10" step="1" title="系统中保留的最大备份数量" 
+                    min="1" max="1000" step="1" title="系统中保留的最大备份数量 (不含受保护的备份，每个聊天的保底备份总是保留)" 
+                    style="width: 80px;" />
+            </div>
+            <div style="margin-top: 8px;">
+                <label style="display: inline-block; min-width: 120px;">每个聊天至少保留:</label>
+                <input type="number" id="chat_backup_min_per_chat" value="${settings.minBackupsPerChat}" 
+                    min="0" max="100" step="1" title="每个聊天最新的这几个备份不会被任何清理规则删除，避免一个活跃的聊天挤掉其他聊天的备份" 
+                    style="width: 80px;" />
+            </div>
+            <div style="margin-top: 8px;">
+                <label style="display: inline-block; min-width: 120px;">每个聊天最多保留:</label>
+                <input type="number" id="chat_backup_max_per_chat" value="${settings.perChatBackupLimit}" 
+                    min="0" max="1000" step="1" title="单个聊天最多保留的备份数量，0 为不限" 
+                    style="width: 80px;" />
+            </div>
+            <div style="margin-top: 8px;">
+                <label style="display: inline-block; min-width: 120px;">最长保留天数:</label>
+                <input type="number" id="chat_backup_max_age" value="${settings.maxBackupAgeDays}" 
+                    min="0" max="3650" step="1" title="超过此天数的备份会被清理 (每个聊天的保底备份除外)，0 为永久保留" 
+                    style="width: 80px;" />
+            </div>
+            <div style="margin-top: 8px;">
+                <label class="checkbox_label" title="越旧的备份保留得越稀疏: 最近的全部保留，之后每小时、每天、每周各保留一个">
+                    <input type="checkbox" id="chat_backup_thinning" ${settings.retentionThinning ? 'checked' : ''}>
+                    <span>分级精简</span>
+                </label>
+                <div class="chat_backup_thinning_options">
+                    <span>全部保留</span>
+                    <input type="number" id="chat_backup_thin_all" value="${settings.thinKeepAllMinutes}" min="0" max="10080" step="1" style="width: 60px;" />
+                    <span>分钟，每小时一个</span>
+                    <input type="number" id="chat_backup_thin_hourly" value="${settings.thinHourlyHours}" min="0" max="720" step="1" style="width: 60px;" />
+                    <span>小时，每天一个</span>
+                    <input type="number" id="chat_backup_thin_daily" value="${settings.thinDailyDays}" min="0" max="3650" step="1" style="width: 60px;" />
+                    <span>天，更早的每周一个</span>
+                </div>
+            </div>
+            <div style="margin-top: 8px;">
+                <label style="display: inline-block; min-width: 120px;">存储预算 (MB):</label>
+                <input type="number" id="chat_backup_storage_budget" value="${settings.storageBudgetMB}" 
+                    min="0" max="102400" step="1" title="所有备份占用的存储空间上限，超出时从最旧的备份开始清理 (受保护、固定和每个聊天的保底备份除外)，0 为不限" 
+                    style="width: 80px;" />
+            </div>
+            <div style="margin-top: 8px;">
+                <label class="checkbox_label" title="启动时向浏览器申请持久化存储，避免空间不足时备份被浏览器自动清除">
+                    <input type="checkbox" id="chat_backup_persist_storage" ${settings.persistStorage ? 'checked' : ''}>
+                    <span>申请持久化存储</span>
+                </label>
+            </div>
+            <div style="margin-top: 8px;">
+                <button id="chat_backup_prune_preview" class="menu_button" title="查看按当前保留策略下一次清理会删除哪些备份">预览清理</button>
+            </div>
+            <div style="margin-top: 8px;">
+                <label style="display: inline-block; min-width: 120px;">定时备份 (分钟):</label>
+                <input type="number" id="chat_backup_interval" value="${settings.intervalBackupMinutes}" 
+                    min="0" max="1440" step="1" title="每隔多少分钟检查一次当前聊天，内容与最新备份不同时自动备份 (生成过程中暂停)，0 为关闭" 
+                    style="width: 80px;" />
+            </div>
+            <div style="margin-top: 8px;">
+                <label style="display: inline-block; min-width: 120px;">备份存储方式:</label>
+                <select id="chat_backup_mode" title="增量模式只保存与上一个备份相比新增、修改或删除的消息；共享消息模式把相同内容的消息在所有备份之间只保存一份">
+                    <option value="full">完整快照</option>
+                    <option value="delta">增量</option>
+                    <option value="shared">共享消息</option>
+                </select>
+            </div>
+            <div style="margin-top: 8px;">
+                <label style="display: inline-block; min-width: 120px;">基础快照间隔:</label>
+                <input type="number" id="chat_backup_delta_interval" value="${settings.deltaBaseInterval}" 
+                    min="2" max="100" step="1" title="增量模式下，每个聊天每隔多少个备份保存一次完整快照" 
                     style="width: 80px;" />
             </div>
+            <div style="margin-top: 8px;">
+                <label style="display: inline-block; min-width: 120px;">负载压缩:</label>
+                <select id="chat_backup_compression" title="在 Worker 中压缩聊天数据后再写入数据库，已有备份不受影响">
+                    <option value="gzip">gzip</option>
+                    <option value="deflate">deflate</option>
+                    <option value="none">不压缩</option>
+                </select>
+            </div>
         `);
         $('.chat_backup_controls').prepend($settingsBlock);
         
-        // 添加最大备份数设置监听
-        $(document).on('input', '#chat_backup_max_total', function() {
-            const total = parseInt($(this).val(), 10);
-            if (!isNaN(total) && total >= 1 && total <= 10) {
-                settings.maxTotalBackups = total;
-                logDebug(`系统最大备份数已更新为: ${total}`);
+        // 保留策略的数值设置 (最大备份数、每个聊天的上下限、保留天数、分级精简区间)
+        const retentionInputs = {
+            '#chat_backup_max_total': 'maxTotalBackups',
+            '#chat_backup_min_per_chat': 'minBackupsPerChat',
+            '#chat_backup_max_per_chat': 'perChatBackupLimit',
+            '#chat_backup_max_age': 'maxBackupAgeDays',
+            '#chat_backup_thin_all': 'thinKeepAllMinutes',
+            '#chat_backup_thin_hourly': 'thinHourlyHours',
+            '#chat_backup_thin_daily': 'thinDailyDays',
+            '#chat_backup_storage_budget': 'storageBudgetMB',
+        };
+        Object.entries(retentionInputs).forEach(([selector, key]) => {
+            $(document).on('input', selector, function() {
+                const value = parseInt($(this).val(), 10);
+                const [min, max] = NUMERIC_SETTING_LIMITS[key];
+                if (!isNaN(value) && value >= min && value <= max) {
+                    settings[key] = value;
+                    logDebug(`设置 ${key} 已更新为: ${value}`);
+                    saveSettingsDebounced();
+                } else {
+                    logDebug(`无效的 ${key} 输入: ${$(this).val()}`);
+                    $(this).val(settings[key]);
+                }
+            });
+        });
+
+        // 定时备份间隔
+        $(document).on('input', '#chat_backup_interval', function() {
+            const minutes = parseInt($(this).val(), 10);
+            const [min, max] = NUMERIC_SETTING_LIMITS.intervalBackupMinutes;
+            if (!isNaN(minutes) && minutes >= min && minutes <= max) {
+                settings.intervalBackupMinutes = minutes;
+                logDebug(`定时备份间隔已更新为: ${minutes} 分钟`);
+                saveSettingsDebounced();
+                startIntervalBackup();
+            } else {
+                logDebug(`无效的定时备份间隔输入: ${$(this).val()}`);
+                $(this).val(settings.intervalBackupMinutes);
+            }
+        });
+
+        // 分级精简开关
+        $(document).on('change', '#chat_backup_thinning', function() {
+            settings.retentionThinning = $(this).prop('checked');
+            logDebug('分级精简已' + (settings.retentionThinning ? '启用' : '禁用'));
+            saveSettingsDebounced();
+        });
+
+        // 持久化存储开关
+        $(document).on('change', '#chat_backup_persist_storage', async function() {
+            settings.persistStorage = $(this).prop('checked');
+            logDebug('持久化存储申请已' + (settings.persistStorage ? '启用' : '禁用'));
+            saveSettingsDebounced();
+            if (settings.persistStorage) {
+                await requestPersistentStorage().catch(error => console.error('[聊天自动备份] 申请持久化存储失败:', error));
+                await updateBackupsList();
+            }
+        });
+
+        // 手动申请持久化存储
+        $(document).on('click', '#chat_backup_request_persist', async function() {
+            const granted = await requestPersistentStorage().catch(error => {
+                console.error('[聊天自动备份] 申请持久化存储失败:', error);
+                return false;
+            });
+            if (granted) {
+                toastr.success('已启用持久化存储', '聊天自动备份');
+            } else {
+                toastr.warning('浏览器拒绝了持久化存储申请 (部分浏览器只对常用或已收藏的网站授予)', '聊天自动备份');
+            }
+            await updateBackupsList();
+        });
+
+        // 加密
+        $(document).on('click', '#chat_backup_encryption_enable', () => enableEncryption());
+        $(document).on('click', '#chat_backup_encryption_unlock', () => unlockEncryption());
+        $(document).on('click', '#chat_backup_encryption_lock', () => lockEncryption());
+        $(document).on('click', '#chat_backup_encryption_change', () => changeEncryptionPassphrase());
+        $(document).on('click', '#chat_backup_encryption_disable', () => disableEncryption());
+
+        // 预览下一次清理
+        $(document).on('click', '#chat_backup_prune_preview', async function() {
+            const button = $(this);
+            button.prop('disabled', true);
+            try {
+                await previewBackupPrune();
+            } catch (error) {
+                console.error('[聊天自动备份] 预览清理失败:', error);
+                toastr.error(`预览清理失败: ${error.message}`, '聊天自动备份');
+            } finally {
+                button.prop('disabled', false);
+            }
+        });
+
+        // 备份存储方式
+        $(document).on('change', '#chat_backup_mode', function() {
+            const mode = $(this).val();
+            settings.backupMode = ['delta', 'shared'].includes(mode) ? mode : 'full';
+            lastSnapshotCache = null;
+            logDebug(`备份存储方式已更新为: ${settings.backupMode}`);
+            saveSettingsDebounced();
+        });
+
+        // 负载压缩格式
+        $(document).on('change', '#chat_backup_compression', function() {
+            const compression = $(this).val();
+            settings.compression = ['gzip', 'deflate', 'none'].includes(compression) ? compression : DEFAULT_SETTINGS.compression;
+            logDebug(`负载压缩格式已更新为: ${settings.compression}`);
+            saveSettingsDebounced();
+        });
+
+        // 基础快照间隔
+        $(document).on('input', '#chat_backup_delta_interval', function() {
+            const interval = parseInt($(this).val(), 10);
+            if (!isNaN(interval) && interval >= 2 && interval <= 100) {
+                settings.deltaBaseInterval = interval;
+                logDebug(`基础快照间隔已更新为: ${interval}`);
                 saveSettingsDebounced();
             } else {
-                logDebug(`无效的系统最大备份数输入: ${$(this).val()}`);
-                $(this).val(settings.maxTotalBackups);
+                logDebug(`无效的基础快照间隔输入: ${$(this).val()}`);
+                $(this).val(settings.deltaBaseInterval);
             }
         });
 
@@ -985,33 +6026,11 @@ jQuery(async () => {
             button.prop('disabled', true).text('恢复中...'); // 禁用按钮并显示状态
 
             try {
-                const db = await getDB();
-                const backup = await new Promise((resolve, reject) => {
-                    const transaction = db.transaction([STORE_NAME], 'readonly');
-                    
-                    transaction.onerror = (event) => {
-                        reject(event.target.error);
-                    };
-                    
-                    const store = transaction.objectStore(STORE_NAME);
-                    const request = store.get([chatKey, timestamp]);
-                    
-                    request.onsuccess = () => {
-                        resolve(request.result);
-                    };
-                    
-                    request.onerror = (event) => {
-                        reject(event.target.error);
-                    };
-                });
+                // 恢复时才读取完整聊天负载
+                const backup = await getFullBackup(chatKey, timestamp);
 
                 if (backup) {
-                    if (confirm(`确定要恢复 "${backup.entityName} - ${backup.chatName}" 的备份吗？\n\n这将选中对应的角色/群组，并创建一个【新的聊天】来载入备份内容。\n当前聊天内容不会丢失，但请确保已保存。`)) {
-                        const success = await restoreBackup(backup);
-                        if (success) {
-                            toastr.success('聊天记录已成功恢复到新聊天');
-                        }
-                    }
+                    await promptRestoreBackup(backup);
                 } else {
                     console.error('[聊天自动备份] 找不到指定的备份:', { timestamp, chatKey });
                     toastr.error('找不到指定的备份');
@@ -1036,16 +6055,13 @@ jQuery(async () => {
             const chatName = backupItem.find('.backup_chat').text();
             const date = backupItem.find('.backup_date').text();
 
-            if (confirm(`确定要永久删除这个备份吗？\n\n实体: ${entityName}\n聊天: ${chatName}\n时间: ${date}\n\n此操作无法撤销！`)) {
+            if (confirmDeleteBackup(entityName, chatName, date)) {
                 button.prop('disabled', true).text('删除中...');
                 try {
                     await deleteBackup(chatKey, timestamp);
                     toastr.success('备份已删除');
-                    backupItem.fadeOut(300, function() { $(this).remove(); }); // 平滑移除条目
-                    // 可选：如果列表为空，显示提示
-                    if ($('#chat_backup_list .backup_item').length <= 1) { // <=1 因为当前这个还在DOM里，将要移除
-                        updateBackupsList(); // 重新加载以显示"无备份"提示
-                    }
+                    // 平滑移除条目后重新加载，更新分组的备份数 (分组为空时一并移除)
+                    backupItem.fadeOut(300, () => updateBackupsList());
                 } catch (error) {
                     console.error('[聊天自动备份] 删除备份失败:', error);
                     toastr.error(`删除备份失败: ${error.message}`);
@@ -1054,6 +6070,184 @@ jQuery(async () => {
             }
         });
 
+        // 导出按钮 (单个备份 / 该聊天全部备份 / SillyTavern 聊天文件)
+        $(document).on('click', '.backup_export', async function() {
+            const button = $(this);
+            const timestamp = parseInt(button.data('timestamp'));
+            const chatKey = button.data('key');
+            logDebug(`点击导出按钮, timestamp: ${timestamp}, chatKey: ${chatKey}`);
+
+            button.prop('disabled', true).text('导出中...');
+            try {
+                await promptExportBackup(chatKey, timestamp);
+            } catch (error) {
+                console.error('[聊天自动备份] 导出备份失败:', error);
+                toastr.error(`导出失败: ${error.message}`, '聊天自动备份');
+            } finally {
+                button.prop('disabled', false).text('导出');
+            }
+        });
+
+        // 查看按钮
+        $(document).on('click', '.backup_view', async function() {
+            const button = $(this);
+            const timestamp = parseInt(button.data('timestamp'));
+            const chatKey = button.data('key');
+            const focusIndex = button.data('index'); // 来自搜索结果时定位到匹配的消息
+            logDebug(`点击查看按钮, timestamp: ${timestamp}, chatKey: ${chatKey}`);
+
+            button.prop('disabled', true).text('加载中...');
+            try {
+                await openBackupViewer(chatKey, timestamp, Number.isInteger(focusIndex) ? focusIndex : null);
+            } catch (error) {
+                console.error('[聊天自动备份] 打开备份查看器失败:', error);
+                toastr.error(`打开备份失败: ${error.message}`, '聊天自动备份');
+            } finally {
+                button.prop('disabled', false).text('查看');
+            }
+        });
+
+        // 固定/取消固定按钮
+        $(document).on('click', '.backup_pin', async function() {
+            const button = $(this);
+            const timestamp = parseInt(button.data('timestamp'));
+            const chatKey = button.data('key');
+            const pinned = !button.hasClass('active');
+            logDebug(`点击固定按钮, timestamp: ${timestamp}, chatKey: ${chatKey}, pinned: ${pinned}`);
+
+            button.prop('disabled', true);
+            try {
+                await updateBackupSummary(chatKey, timestamp, { pinned });
+                toastr.success(pinned ? '备份已固定' : '已取消固定', '聊天自动备份');
+                await updateBackupsList();
+            } catch (error) {
+                console.error('[聊天自动备份] 更新固定状态失败:', error);
+                toastr.error(`操作失败: ${error.message}`, '聊天自动备份');
+                button.prop('disabled', false);
+            }
+        });
+
+        // 编辑按钮
+        $(document).on('click', '.backup_edit', async function() {
+            const button = $(this);
+            const timestamp = parseInt(button.data('timestamp'));
+            const chatKey = button.data('key');
+            logDebug(`点击编辑按钮, timestamp: ${timestamp}, chatKey: ${chatKey}`);
+
+            button.prop('disabled', true);
+            try {
+                if (await promptEditBackup(chatKey, timestamp)) {
+                    await updateBackupsList();
+                }
+            } catch (error) {
+                console.error('[聊天自动备份] 编辑备份失败:', error);
+                toastr.error(`编辑失败: ${error.message}`, '聊天自动备份');
+            } finally {
+                button.prop('disabled', false);
+            }
+        });
+
+        // 仅显示固定的备份
+        $(document).on('change', '#chat_backup_filter_pinned', () => updateBackupsList());
+
+        // 时间轴按钮 (位于聊天分组的标题中，阻止点击同时折叠分组)
+        $(document).on('click', '.backup_open_timeline', async function(event) {
+            event.preventDefault();
+            const button = $(this);
+            const chatKey = button.data('key');
+            logDebug(`点击时间轴按钮, chatKey: ${chatKey}`);
+
+            button.prop('disabled', true);
+            try {
+                await openBackupTimeline(chatKey);
+            } catch (error) {
+                console.error('[聊天自动备份] 打开时间轴失败:', error);
+                toastr.error(`打开时间轴失败: ${error.message}`, '聊天自动备份');
+            } finally {
+                button.prop('disabled', false);
+            }
+        });
+
+        // 比较按钮
+        $(document).on('click', '.backup_compare', async function() {
+            const button = $(this);
+            const timestamp = parseInt(button.data('timestamp'));
+            const chatKey = button.data('key');
+            logDebug(`点击比较按钮, timestamp: ${timestamp}, chatKey: ${chatKey}`);
+
+            button.prop('disabled', true);
+            try {
+                await openBackupCompare(chatKey, timestamp);
+            } catch (error) {
+                console.error('[聊天自动备份] 比较备份失败:', error);
+                toastr.error(`比较失败: ${error.message}`, '聊天自动备份');
+            } finally {
+                button.prop('disabled', false);
+            }
+        });
+
+        // 导出全部备份
+        $(document).on('click', '#chat_backup_export_all', async function() {
+            const button = $(this);
+            button.prop('disabled', true);
+            try {
+                await exportBackupArchive('all');
+            } catch (error) {
+                console.error('[聊天自动备份] 导出全部备份失败:', error);
+                toastr.error(`导出失败: ${error.message}`, '聊天自动备份');
+            } finally {
+                button.prop('disabled', false);
+            }
+        });
+
+        // 校验全部备份
+        $(document).on('click', '#chat_backup_verify_all', async function() {
+            const button = $(this);
+            button.prop('disabled', true);
+            try {
+                await verifyAllBackups();
+            } catch (error) {
+                console.error('[聊天自动备份] 校验备份失败:', error);
+                toastr.error(`校验失败: ${error.message}`, '聊天自动备份');
+            } finally {
+                button.prop('disabled', false);
+            }
+        });
+
+        // 导入备份存档
+        $(document).on('click', '#chat_backup_import', () => $('#chat_backup_import_file').trigger('click'));
+        $(document).on('change', '#chat_backup_import_file', async function() {
+            const file = this.files?.[0];
+            $(this).val(''); // 允许重复选择同一文件
+            if (!file) {
+                return;
+            }
+            try {
+                await importBackupArchive(file);
+            } catch (error) {
+                console.error('[聊天自动备份] 导入备份失败:', error);
+                toastr.error(`导入失败: ${error.message}`, '聊天自动备份');
+            }
+        });
+
+        // 全文搜索
+        $(document).on('click', '#chat_backup_search_button', () => {
+            runBackupSearch().catch(error => {
+                console.error('[聊天自动备份] 搜索备份失败:', error);
+                toastr.error(`搜索失败: ${error.message}`, '聊天自动备份');
+            });
+        });
+        $(document).on('keydown', '#chat_backup_search_query', (event) => {
+            if (event.key === 'Enter') {
+                $('#chat_backup_search_button').trigger('click');
+            }
+        });
+        $(document).on('click', '#chat_backup_search_clear', () => {
+            $('#chat_backup_search_query, #chat_backup_search_from, #chat_backup_search_to').val('');
+            $('#chat_backup_search_entity').val('');
+            runBackupSearch();
+        });
+
         // 调试开关
         $(document).on('change', '#chat_backup_debug_toggle', function() {
             settings.debug = $(this).prop('checked');
@@ -1063,9 +6257,7 @@ jQuery(async () => {
 
         // 初始化UI状态 (延迟确保DOM渲染完毕)
         setTimeout(async () => {
-            $('#chat_backup_debug_toggle').prop('checked', settings.debug);
-            $('#chat_backup_debounce_delay').val(settings.backupDebounceDelay);
-            $('#chat_backup_max_total').val(settings.maxTotalBackups);
+            applySettingsToUI(settings);
             await updateBackupsList();
         }, 300);
 
@@ -1119,10 +6311,30 @@ jQuery(async () => {
                 });
             });
 
+            // 生成状态 (定时备份在生成过程中暂停)
+            eventSource.on(event_types.GENERATION_STARTED, (_type, _options, dryRun) => {
+                if (!dryRun) {
+                    isGenerating = true;
+                }
+            });
+            [event_types.GENERATION_ENDED, event_types.GENERATION_STOPPED].filter(Boolean).forEach(eventType => {
+                eventSource.on(eventType, () => {
+                    isGenerating = false;
+                });
+            });
+
             console.log('[聊天自动备份] 事件监听器设置完成');
         }
 
         setupBackupEvents(); // 应用新的事件绑定逻辑
+        startIntervalBackup();
+        setupPreDeleteSnapshots();
+
+        try {
+            registerSlashCommands();
+        } catch (slashError) {
+            console.error('[聊天自动备份] 注册斜杠命令失败:', slashError);
+        }
 
         // 监听扩展页面打开事件，刷新列表
         $(document).on('click', '#extensionsMenuButton', () => {
@@ -1144,6 +6356,16 @@ jQuery(async () => {
 
         // 初始备份检查 (延迟执行，确保聊天已加载)
         setTimeout(async () => {
+            if (settings.persistStorage) {
+                requestPersistentStorage().catch(error => console.error('[聊天自动备份] 申请持久化存储失败:', error));
+            }
+            checkStorageQuota().catch(error => console.error('[聊天自动备份] 检查存储配额失败:', error));
+
+            // 数据库升级时角色列表可能尚未加载，在这里补做旧版 chatKey 迁移
+            if (await migrateLegacyCharacterKeys() > 0) {
+                await updateBackupsList();
+            }
+
             logDebug('[聊天自动备份] 执行初始备份检查');
             const context = getContext();
             if (context.chat && context.chat.length > 0 && !isBackupInProgress) {